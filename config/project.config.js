@@ -28,10 +28,28 @@ const SmartSearchConfig = {
         // The library has NO default - you MUST set this
         defaultPreparedSearch: 'CrownpeakDocs',
 
+        // Connection profiles offered in the settings modal; switching rebuilds the
+        // search in place. Users can add their own profiles (stored in localStorage).
+        profiles: [
+            {
+                id: 'dev',
+                name: 'Dev',
+                url: 'https://professional-services-dev-search-api.e-spirit.cloud',
+                preparedSearch: 'CrownpeakDocs'
+            }
+            // { id: 'qa', name: 'QA', url: 'https://your-qa-search-api', preparedSearch: 'CrownpeakDocs' },
+            // { id: 'prod', name: 'Production', url: 'https://your-search-api', preparedSearch: 'CrownpeakDocs' }
+        ],
+
+        // "Test connection" runs this query and reports latency and hit count
+        probeQuery: '*',
+        probeTimeout: 10000,  // ms
+
         // LocalStorage keys for persisting settings
         localStorageKeys: {
             server: 'smartsearch-server',
-            preparedSearch: 'smartsearch-prepared-search'
+            preparedSearch: 'smartsearch-prepared-search',
+            profiles: 'smartsearch-profiles'
         }
     },
 
@@ -88,7 +106,46 @@ const SmartSearchConfig = {
             'mime_type': 'Filetype',
             'category': 'Category',
             'facet_filter_language': 'Language'
-        }
+        },
+
+        // Facets rendered first, in this order (the others follow in server order)
+        order: ['category', 'mime_type'],
+
+        // Facets that are never rendered
+        hidden: [],
+
+        // Value lists per facet name (defaults: server order, all values)
+        // sort: 'server', 'count', 'alpha' or 'custom' (valueOrder first)
+        // maxVisible: values before "Show N more"; minCount: fewer hits are left out
+        // searchThreshold: more values than this get a search box (null = never)
+        // mode: 'or' (default), 'single', 'and' or 'exclude' ('and'/'exclude' filter on field)
+        // separator: path separator that renders the facet as a tree (no search box / "Show more")
+        settings: {
+            facet_filter_language: {
+                mode: 'single'
+            },
+            mime_type: {
+                valueLabels: {
+                    'application/pdf': 'PDF',
+                    'text/html': 'HTML',
+                    'application/msword': 'Word'
+                },
+                sort: 'count'
+            },
+            category: {
+                sort: 'alpha',
+                separator: '/'
+            }
+        },
+
+        // Range facets: histogram with a two-handle slider on a numeric or date field,
+        // rendered after the other facets (unless listed in order)
+        // boundaries: Solr interval facet; or type, start, end, gap: Solr range facet
+        // The field must not be one of the facets above, and the prepared search has to pass
+        // the facet_counts section of the Solr response through
+        // e.g. { name: 'size', field: 'size', boundaries: [0, 10240, 102400, 1048576] }
+        // or { name: 'published', field: 'meta_date', type: 'date', start: 'NOW/YEAR-4YEARS', end: 'NOW', gap: '+1YEAR' }
+        ranges: []
     },
 
     // ========================================
@@ -119,6 +176,64 @@ const SmartSearchConfig = {
         }
     },
 
+    // ========================================
+    // FILTER QUERIES
+    // ========================================
+    // Every named filter query is sent as its own 'fq' parameter, so the
+    // date filter, range filters and static filters combine.
+    // Add/remove filters at runtime with
+    //   smartSearchUI.setFilterQuery('size', 'size:[0 TO 1000000]')
+    //   smartSearchUI.removeFilterQuery('size')
+    filterQueries: {
+        // Solr filter query parameter name
+        param: 'fq',
+
+        // Filters applied to every request (not removed by "Clear All")
+        // Example: { site: 'site:docs' }
+        static: {},
+
+        // Labels of runtime filters in the active filter chips
+        // Example: { size: 'File size' }
+        labels: {}
+    },
+
+    // ========================================
+    // SORTING
+    // ========================================
+    // Options of the "Sort by" selector in the results header. The chosen
+    // sort is sent as a custom param and kept across pages and filters.
+    // Only these values are accepted (also from the URL).
+    sorting: {
+        // Solr sort parameter name
+        param: 'sort',
+
+        // id: message key 'sort.<id>', label: shown without a message, value: Solr sort expression
+        // (an empty value keeps the server's relevance order)
+        options: [
+            { id: 'relevance', label: 'Relevance', value: '' },
+            { id: 'newest', label: 'Newest first', value: 'meta_date desc' },
+            { id: 'oldest', label: 'Oldest first', value: 'meta_date asc' }
+        ],
+
+        // Value of the option selected initially ('' or null = relevance)
+        default: ''
+    },
+
+    // ========================================
+    // GROUPED RESULTS
+    // ========================================
+    // Show one section per value of a field (e.g. one per file type), each
+    // with its own count, pagination and a "See all in this group" action
+    grouping: {
+        enabled: false,
+
+        // Solr field to group by (required when enabled)
+        field: 'mime_type',
+
+        // Results per group section (and per group page)
+        limit: 3
+    },
+
     // ========================================
     // RESULT FIELD MAPPING (REQUIRED)
     // ========================================
@@ -152,7 +267,7 @@ const SmartSearchConfig = {
                 month: 'short',
                 day: 'numeric'
             },
-            locale: 'en',
+            locale: 'en',  // Replaced by the active i18n locale (see INTERNATIONALIZATION)
             fallback: 'No date'
         },
 
@@ -163,6 +278,40 @@ const SmartSearchConfig = {
         }
     },
 
+    // ========================================
+    // URL STATE
+    // ========================================
+    // Query, selected facets, date range/preset and page are written to the
+    // URL so searches can be reloaded, shared and navigated with back/forward
+    urlState: {
+        enabled: true,
+
+        // Query string parameter names
+        params: {
+            page: 'page',
+            pageSize: 'size',
+            sort: 'sort',  // Only when not the default sort
+            startDate: 'from',
+            endDate: 'to',
+            preset: 'preset',
+            group: 'group',  // "See all in this group"
+            facetPrefix: 'f.'  // e.g. ?f.mime_type=application/pdf
+        }
+    },
+
+    // ========================================
+    // SANITIZING
+    // ========================================
+    // All Solr values and the query are HTML-escaped before rendering
+    sanitize: {
+        // Tags kept in highlight snippets (match your hl.simple.pre/post)
+        highlightTags: ['em', 'mark', 'strong', 'b'],
+
+        // Allowed absolute link protocols for resultFields.link
+        // (relative links are always allowed, anything else falls back)
+        linkProtocols: ['http:', 'https:']
+    },
+
     // ========================================
     // FEATURE FLAGS
     // ========================================
@@ -173,6 +322,12 @@ const SmartSearchConfig = {
         // Enable field inspector (three-dot menu on result cards)
         fieldInspector: true,
 
+        // Field mapping wizard in the settings modal (generates project.config.js)
+        mappingWizard: true,
+
+        // Compare two prepared searches side by side (settings modal)
+        compareMode: true,
+
         // Enable date range filtering
         dateFilter: true,
 
@@ -183,30 +338,384 @@ const SmartSearchConfig = {
         didYouMean: true,
 
         // Enable smooth scrolling when paginating/filtering
-        smoothScrolling: true
+        smoothScrolling: true,
+
+        // Run searches in place (history.pushState) instead of reloading
+        // the page on every form submission
+        inPageSearch: true
     },
 
     // ========================================
     // UI CUSTOMIZATION
     // ========================================
     ui: {
-        // Number of results per page
+        // Number of results per page (sent as haupia_pageSize)
         resultsPerPage: 10,
 
+        // Options of the results-per-page selector ([] hides the selector)
+        pageSizeOptions: [10, 25, 50],
+
         // Maximum number of pagination buttons to show
         maxPaginationButtons: 5,
 
+        // Pagination mode:
+        // - 'numbered': page buttons (replace the results)
+        // - 'loadMore': "Load more" button appends the next page
+        // - 'infinite': next page is appended when scrolling near the end
+        paginationMode: 'numbered',
+
+        // Distance before the end of the list at which 'infinite' loads more
+        infiniteScrollMargin: '400px',
+
         // Show result count above results
         showResultCount: true,
 
-        // Empty state message (when no query)
-        emptyStateMessage: 'Enter a search query to get started',
+        // Empty state message (when no query), text or message key
+        // null uses the 'results.emptyState' message of the active locale
+        emptyStateMessage: null,
         emptyStateIcon: '🔍',
 
         // Error state icon
         errorStateIcon: '⚠️'
     },
 
+    // ========================================
+    // INTERNATIONALIZATION
+    // ========================================
+    // All UI strings come from message catalogs. The English catalog is built in,
+    // add a catalog per locale and list it in 'locales' to offer it in the settings modal.
+    // Config labels are shown as configured unless a catalog has their message key:
+    // 'facet.name.<facet>', 'facet.value.<facet>.<value>', 'sort.<id>', 'date.preset.<days>',
+    // 'filter.name.<filter query>' and 'profile.<id>'.
+    i18n: {
+        // Locale used until the user picks one
+        locale: 'en',
+        fallbackLocale: 'en',
+        localStorageKey: 'smartsearch-locale',
+
+        // name: shown in the language selector
+        // dateLocale: locale for result dates (default: locale id)
+        // autocompleteLanguage: 'language' option of the autocomplete (default: locale id)
+        locales: {
+            en: { name: 'English', dateLocale: 'en-US', autocompleteLanguage: 'en' },
+            de: { name: 'Deutsch', dateLocale: 'de-DE', autocompleteLanguage: 'de' }
+        },
+
+        // Messages per locale. Use {name} placeholders and plural objects
+        // ({ zero, one, other }) selected by the 'count' placeholder.
+        messages: {
+            de: {
+                'search.placeholder': 'Nach Dokumenten, Artikeln und mehr suchen...',
+                'search.submit': 'Suchen',
+                'filters.title': 'Filter',
+                'filters.clearAll': 'Alle zurücksetzen',
+                'filters.dateRange': 'Zeitraum',
+                'filters.from': 'Von',
+                'filters.to': 'Bis',
+                'facet.reset': 'Zurücksetzen',
+                'facet.resetLabel': '{facet} zurücksetzen',
+                'facet.showMore': {
+                    one: '1 weiteren anzeigen',
+                    other: '{count} weitere anzeigen'
+                },
+                'facet.showLess': 'Weniger anzeigen',
+                'facet.search': '{facet} durchsuchen',
+                'facet.searchPlaceholder': 'Werte filtern…',
+                'facet.noMatch': 'Keine passenden Werte',
+                'facet.modeAnd': 'Alle',
+                'facet.modeAndHint': 'Ergebnisse enthalten alle gewählten Werte',
+                'facet.modeExclude': 'Ausschließen',
+                'facet.modeExcludeHint': 'Ergebnisse mit den gewählten Werten werden ausgeblendet',
+                'facet.excludeValue': '{value} ausschließen',
+                'facet.all': 'Alle',
+                'facet.path': 'Gewählter Pfad',
+                'facet.expand': '{value} aufklappen',
+                'facet.collapse': '{value} zuklappen',
+                'range.min': 'Minimum von {facet}',
+                'range.max': 'Maximum von {facet}',
+                'range.between': '{from} – {to}',
+                'range.atLeast': 'ab {value}',
+                'range.below': 'unter {value}',
+                'range.bucket': '{from} – {to}: {count}',
+                'results.showing': {
+                    one: '{range} von {total} Ergebnis für „{query}“',
+                    other: '{range} von {total} Ergebnissen für „{query}“'
+                },
+                'results.grouped': {
+                    one: '{total} Ergebnis in {groups} Gruppen für „{query}“',
+                    other: '{total} Ergebnisse in {groups} Gruppen für „{query}“'
+                },
+                'results.none': 'Keine Ergebnisse gefunden',
+                'results.noneHint': 'Versuchen Sie andere Suchbegriffe oder entfernen Sie Filter',
+                'results.emptyState': 'Geben Sie einen Suchbegriff ein',
+                'results.error': 'Bei der Suche ist ein Fehler aufgetreten',
+                'results.errorHint': 'Bitte versuchen Sie es später erneut',
+                'results.showAllFields': 'Alle Felder anzeigen',
+                'results.perPage': 'Pro Seite',
+                'results.sortBy': 'Sortieren nach',
+                'pagination.loadMore': 'Mehr laden',
+                'pagination.loading': 'Wird geladen…',
+                'groups.seeAll': 'Alle in dieser Gruppe anzeigen',
+                'groups.previous': '‹ Zurück',
+                'groups.next': 'Weiter ›',
+                'groups.back': '← Alle Gruppen',
+                'activeFilters.label': 'Aktive Filter:',
+                'activeFilters.remove': 'Filter entfernen',
+                'activeFilters.clearAll': 'Alle entfernen',
+                'activeFilters.date': 'Datum',
+                'activeFilters.excluded': 'nicht {value}',
+                'date.lastDays': { one: 'Letzter Tag', other: 'Letzte {count} Tage' },
+                'date.range': '{start} – {end}',
+                'date.from': 'Ab {date}',
+                'date.until': 'Bis {date}',
+                'fields.title': 'Alle Felder',
+                'fields.empty': 'k. A.',
+                'fields.filter': 'Felder und Werte filtern…',
+                'fields.view': 'Ansicht',
+                'fields.formatted': 'Felder',
+                'fields.raw': 'Roh-JSON',
+                'fields.copy': 'Kopieren',
+                'fields.copyField': '{field} kopieren',
+                'fields.copyDocument': 'Dokument kopieren',
+                'fields.copied': 'Kopiert',
+                'fields.copyFailed': 'Kopieren fehlgeschlagen',
+                'fields.highlights': 'Treffer-Hervorhebungen',
+                'fields.mappings': 'resultFields-Zuordnungen',
+                'fields.mappedTo': 'Verwendet für resultFields.{role}',
+                'fields.candidate': 'Für resultFields.{role} eingetragen, in diesem Ergebnis leer oder nicht an erster Stelle',
+                'fields.fallback': 'Fallback (kein Wert in {candidates})',
+                'fields.noMatch': 'Keine passenden Felder',
+                'dialog.close': 'Schließen',
+                'settings.open': 'Einstellungen',
+                'settings.title': 'Einstellungen',
+                'settings.theme': 'Design',
+                'settings.themeHint': 'Änderungen werden sofort übernommen',
+                'settings.language': 'Sprache',
+                'settings.serverURL': 'Server-URL',
+                'settings.preparedSearch': 'Prepared Search',
+                'settings.default': 'Standard: {value}',
+                'settings.reset': 'Auf Standard zurücksetzen',
+                'settings.cancel': 'Abbrechen',
+                'settings.save': 'Speichern',
+                'settings.profile': 'Verbindungsprofil',
+                'settings.customProfile': 'Benutzerdefiniert',
+                'settings.projectProfiles': 'Projekt',
+                'settings.userProfiles': 'In diesem Browser gespeichert',
+                'settings.profileHint': 'Der Wechsel wird sofort übernommen',
+                'settings.saveProfile': 'Als Profil speichern',
+                'settings.profileName': 'Name für dieses Verbindungsprofil',
+                'settings.deleteProfile': 'Profil löschen',
+                'settings.testConnection': 'Verbindung testen',
+                'settings.testing': 'Teste…',
+                'settings.testSuccess': {
+                    one: 'Verbunden in {latency} ms, 1 Ergebnis',
+                    other: 'Verbunden in {latency} ms, {count} Ergebnisse'
+                },
+                'settings.testFailed': 'Verbindung fehlgeschlagen: {message}',
+                'settings.timeout': 'Keine Antwort nach {seconds} s',
+                'wizard.open': 'Feldzuordnungs-Assistent',
+                'wizard.openHint': 'Felder einer neuen Prepared Search zuordnen und eine project.config.js herunterladen',
+                'wizard.title': 'Feldzuordnungs-Assistent',
+                'wizard.sampleQuery': 'Beispielsuche',
+                'wizard.run': 'Ausführen',
+                'wizard.loading': 'Beispielsuche läuft…',
+                'wizard.error': 'Die Beispielsuche ist fehlgeschlagen: {message}',
+                'wizard.noResults': 'Die Beispielsuche hat keine Ergebnisse geliefert. Versuchen Sie eine andere Suche.',
+                'wizard.mapping': 'Feldzuordnung',
+                'wizard.none': '— keines —',
+                'wizard.facets': 'Anzeigenamen der Facetten',
+                'wizard.noFacets': 'Diese Prepared Search liefert keine Facetten.',
+                'wizard.fields': 'Gefundene Felder',
+                'wizard.field': 'Feld',
+                'wizard.example': 'Beispielwert',
+                'wizard.coverage': 'In Ergebnissen',
+                'wizard.coverageValue': '{count} von {total}',
+                'wizard.preview': 'Vorschau',
+                'wizard.config': 'Erzeugte Konfiguration',
+                'wizard.valid': 'Die Konfiguration ist vollständig.',
+                'wizard.invalid': 'Es fehlt noch:',
+                'wizard.copy': 'Kopieren',
+                'wizard.download': 'project.config.js herunterladen',
+                'compare.open': 'Prepared Searches vergleichen',
+                'compare.openHint': 'Eine Suche gegen zwei Verbindungen ausführen und die Rankings vergleichen',
+                'compare.title': 'Prepared Searches vergleichen',
+                'compare.query': 'Suchbegriff',
+                'compare.run': 'Vergleichen',
+                'compare.loading': 'Beide Verbindungen werden durchsucht…',
+                'compare.error': 'Der Vergleich ist fehlgeschlagen: {message}',
+                'compare.noResults': 'Keine Ergebnisse',
+                'compare.hits': {
+                    one: '1 Treffer',
+                    other: '{count} Treffer'
+                },
+                'compare.overlap': 'Überschneidung',
+                'compare.overlapValue': '{count} von {depth}',
+                'compare.shareOfLeft': 'Anteil von A',
+                'compare.shareOfRight': 'Anteil von B',
+                'compare.averageRankChange': 'Ø Rangänderung',
+                'compare.onlyIn': 'Nur in {side}',
+                'compare.rankIn': 'Rang {rank} in {side}',
+                'compare.same': 'Gleicher Rang wie in A',
+                'compare.up': {
+                    one: '1 Rang höher als in A',
+                    other: '{count} Ränge höher als in A'
+                },
+                'compare.down': {
+                    one: '1 Rang tiefer als in A',
+                    other: '{count} Ränge tiefer als in A'
+                },
+                'compare.announcement': {
+                    one: 'Vergleich fertig, 1 gemeinsames Ergebnis',
+                    other: 'Vergleich fertig, {count} gemeinsame Ergebnisse'
+                },
+                'export.button': 'Exportieren',
+                'export.csv': 'CSV herunterladen',
+                'export.json': 'JSON herunterladen',
+                'export.clipboard': 'Diese Seite kopieren',
+                'export.limit': 'Alle Ergebnisse, höchstens {max}',
+                'export.progress': 'Exportiere {count} von {total}…',
+                'export.cancel': 'Abbrechen',
+                'export.done': {
+                    one: '1 Ergebnis exportiert',
+                    other: '{count} Ergebnisse exportiert'
+                },
+                'export.copied': {
+                    one: '1 Ergebnis in die Zwischenablage kopiert',
+                    other: '{count} Ergebnisse in die Zwischenablage kopiert'
+                },
+                'export.cancelled': 'Export abgebrochen',
+                'export.failed': 'Export fehlgeschlagen',
+                'history.toggle': 'Letzte und gespeicherte Suchen',
+                'history.recent': 'Letzte Suchen',
+                'history.saved': 'Gespeicherte Suchen',
+                'history.noRecent': 'Keine letzten Suchen',
+                'history.noSaved': 'Keine gespeicherten Suchen',
+                'history.clear': 'Verlauf löschen',
+                'history.save': 'Suche speichern',
+                'history.saveName': 'Name für diese Suche',
+                'history.savedAnnouncement': 'Suche als „{name}“ gespeichert',
+                'history.remove': 'Gespeicherte Suche {name} löschen',
+                'history.savedMeta': {
+                    zero: '{query}',
+                    one: '{query} · 1 Filter',
+                    other: '{query} · {count} Filter'
+                },
+                'dashboard.open': 'Suchstatistik',
+                'dashboard.title': 'Suchstatistik',
+                'dashboard.retention': {
+                    one: 'Auf diesem Gerät erfasst, letzter Tag',
+                    other: 'Auf diesem Gerät erfasst, letzte {count} Tage'
+                },
+                'dashboard.loading': 'Wird geladen…',
+                'dashboard.empty': 'Noch keine Suchen erfasst',
+                'dashboard.searches': 'Suchen',
+                'dashboard.zeroResultRate': 'Anteil ohne Treffer',
+                'dashboard.clicks': 'Ergebnisklicks',
+                'dashboard.clickThroughRate': 'Klickrate',
+                'dashboard.topQueries': 'Häufigste Suchen',
+                'dashboard.zeroResultQueries': 'Suchen ohne Treffer',
+                'dashboard.ctrByRank': 'Klickrate nach Position',
+                'dashboard.topFacets': 'Meistgenutzte Filter',
+                'dashboard.query': 'Suchbegriff',
+                'dashboard.count': 'Anzahl',
+                'dashboard.averageResults': 'Ø Treffer',
+                'dashboard.lastSearched': 'Zuletzt gesucht',
+                'dashboard.rank': 'Position',
+                'dashboard.facet': 'Filter',
+                'dashboard.topValues': 'Häufigste Werte',
+                'dashboard.none': 'Keine',
+                'dashboard.exportCSV': 'CSV exportieren',
+                'dashboard.exportJSON': 'JSON exportieren',
+                'dashboard.clear': 'Daten löschen',
+                'dashboard.clearConfirm': 'Alle auf diesem Gerät erfassten Suchstatistiken löschen?',
+
+                // Theme messages
+                'minimal.clear': 'Zurücksetzen',
+                'minimal.readMore': 'Weiterlesen',
+                'magazine.clear': 'Zurücksetzen',
+                'magazine.continueReading': 'Weiterlesen',
+                'magazine.filteredBy': 'Gefiltert nach',
+                'magazine.showMoreFilters': 'Weitere Filter anzeigen ({count})',
+                'magazine.showFewerFilters': 'Weniger Filter anzeigen',
+
+                // Config labels
+                'facet.name.mime_type': 'Dateityp',
+                'facet.name.category': 'Kategorie',
+                'facet.name.facet_filter_language': 'Sprache',
+                'date.preset.3': 'Letzte 3 Tage',
+                'date.preset.7': 'Letzte Woche',
+                'date.preset.30': 'Letzter Monat',
+                'date.preset.90': 'Letzte 3 Monate',
+                'date.preset.180': 'Letzte 6 Monate',
+                'date.preset.365': 'Letztes Jahr',
+                'sort.relevance': 'Relevanz',
+                'sort.newest': 'Neueste zuerst',
+                'sort.oldest': 'Älteste zuerst'
+            }
+        }
+    },
+
+    // ========================================
+    // RECENT & SAVED SEARCHES
+    // ========================================
+    // Recent queries appear when the empty search bar is focused; "Save search" in the
+    // results header stores query, facets, date range, sort and page size under a name
+    history: {
+        enabled: true,
+        maxRecent: 10,
+        localStorageKeys: {
+            recent: 'smartsearch-recent-searches',
+            saved: 'smartsearch-saved-searches'
+        }
+    },
+
+    // ========================================
+    // RESULT EXPORT
+    // ========================================
+    // "Export" in the results header: CSV/JSON of all matching results (paged through
+    // up to maxResults) or the current page copied to the clipboard
+    export: {
+        enabled: true,
+        maxResults: 1000,
+        pageSize: 100,  // Results per request while exporting
+        fields: ['title', 'description', 'link', 'date', 'language'],  // Keys of resultFields
+        extraFields: ['mime_type', 'category', 'size'],  // Raw fields added as columns
+        filename: 'search-results'
+    },
+
+    // ========================================
+    // COMPARE MODE
+    // ========================================
+    // One query against two connections (e.g. the profiles above), ranked side by side;
+    // documents are matched by resultFields.link
+    compare: {
+        depth: 20  // Results per column
+    },
+
+    // ========================================
+    // ANALYTICS
+    // ========================================
+    // Events: search, zeroResults, filterChange, pageChange, resultClick,
+    // didYouMeanClick, autocompleteSelect, themeChange
+    // Listen in code with smartSearchUI.on(type, handler), or send them to sinks:
+    analytics: {
+        enabled: true,
+        sinks: [
+            // 'console',
+            // { type: 'beacon', endpoint: '/api/search-analytics', batchSize: 10, flushInterval: 5000 }
+        ],
+
+        // Dashboard with top queries, zero-result queries, click-through rate by rank
+        // and facet use, recorded in this browser only (button next to the settings gear)
+        dashboard: {
+            enabled: true,
+            storage: 'indexedDB',  // 'indexedDB' or 'localStorage'
+            storageKey: 'smartsearch-analytics',
+            retentionDays: 30,
+            maxEvents: 5000
+        }
+    },
+
     // ========================================
     // CUSTOM RESULT TEMPLATE (Optional)
     // ========================================
@@ -215,10 +724,11 @@ const SmartSearchConfig = {
     /*
     resultTemplate: (result, highlights, uiInstance) => {
         // Access configured fields via: uiInstance.getField(result, 'title')
-        const title = uiInstance.getField(result, 'title')
-        const description = uiInstance.getField(result, 'description')
-        const link = uiInstance.getField(result, 'link')
-        const date = uiInstance.formatDate(result)
+        // Escape every value you put into the HTML with uiInstance.escapeHTML()
+        const title = uiInstance.escapeHTML(uiInstance.getField(result, 'title'))
+        const description = uiInstance.getDescriptionHTML(result, highlights)
+        const link = uiInstance.escapeHTML(uiInstance.getField(result, 'link'))
+        const date = uiInstance.escapeHTML(uiInstance.formatDate(result))
 
         return `
             <a href="${link}" target="_blank" rel="noopener noreferrer" class="result-link">
@@ -261,12 +771,12 @@ const SmartSearchConfig = {
         },
 
         /**
-         * Called when a result is clicked
-         * Useful for analytics tracking
+         * Called when a result is clicked (also with custom templates and theme cards)
+         * rank: position in the whole result list, position: on its page, page: page number
          */
-        onResultClick: (result) => {
+        onResultClick: (result, { rank, position, page }) => {
             // Example: Track result clicks
-            // console.log('Result clicked:', result.title)
+            // console.log('Result clicked:', result.title, 'at rank', rank)
         },
 
         /**
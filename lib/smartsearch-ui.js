@@ -24,6 +24,35 @@ class SmartSearchUI {
         this.facetContainer = null
         this.currentPage = null
         this.activePresetDays = null  // Track active preset
+        this.currentQuery = null
+        this._restoringState = 0  // Number of state replays running, URL writes are suppressed meanwhile
+        this._requestId = 0  // Sequence number of the latest search request
+        this.isLoading = false  // Whether the latest search request is in flight
+        this.filterQueries = new Map()  // Named Solr filter queries (name -> { param, query })
+        this.requestParams = new Map()  // Extra request params kept across requests (e.g. page size)
+        this.pageSize = this.config.ui.resultsPerPage
+        this.currentSort = ''  // Active Solr sort expression ('' = server order)
+        this.locale = null  // Active UI locale, see setLocale()
+        this._pluralRules = new Map()  // Locale -> Intl.PluralRules of the plural messages
+        this.firstRenderedPage = null  // Page number at the top of the result list (loadMore/infinite modes)
+        this._loadingNextPage = false  // Guards loadNextPage() against parallel loads
+        this._paginationObserver = null  // IntersectionObserver of the infinite scroll sentinel
+        this.activeGroup = null  // Group value of the "see all in this group" filter
+        this.currentGroups = null  // Group value -> { page, pageNumber } of the grouped view
+        this._groupsSourcePage = null  // Result page the current groups were fetched for
+
+        // Analytics event bus (see on() / emit())
+        this._eventListeners = new Map([
+            'search', 'zeroResults', 'filterChange', 'pageChange',
+            'resultClick', 'didYouMeanClick', 'autocompleteSelect', 'themeChange'
+        ].map(type => [type, new Set()]))
+        this.analyticsSinks = []
+        this._resultCards = new WeakMap()  // Rendered card -> { result, rank, position, page }
+        this._exportRun = null  // { cancelled } while exportResults() pages through the results
+        this._warnedMissingFacetCounts = false  // Range facets warn once about a response without facet_counts
+        this._expandedFacets = new Set()  // Facets whose "Show N more" values are shown
+        this._facetSearchTerms = new Map()  // Facet name -> text typed into its search box
+        this._treeNodeState = new Map()  // 'facet:path' -> expanded (true/false) of tree facet nodes
 
         // Theme system
         this.currentTheme = null
@@ -33,6 +62,35 @@ class SmartSearchUI {
         // Validate required configuration
         this._validateConfig()
 
+        // Restore the user's locale choice and apply it to dates and autocomplete
+        const storedLocale = localStorage.getItem(this.config.i18n.localStorageKey)
+        this.locale = this.config.i18n.locales[storedLocale] ? storedLocale : this.config.i18n.locale
+        this._applyLocale()
+
+        this.config.analytics.sinks.forEach(sink => this.addAnalyticsSink(sink))
+
+        if (this.config.history.enabled) {
+            this.on('search', event => this._addRecentSearch(event.query))
+        }
+
+        // Record searches, clicks and facet use for the local dashboard
+        this.analyticsStore = null
+        if (this.config.analytics.dashboard.enabled) {
+            this.analyticsStore = this._createAnalyticsStore(this.config.analytics.dashboard)
+            this.on('search', event => this._recordAnalyticsEvent(event))
+            this.on('resultClick', event => this._recordAnalyticsEvent(event))
+            this.on('filterChange', event => this._recordAnalyticsEvent(event))
+        }
+
+        // Register project-defined static filter queries
+        Object.entries(this.config.filterQueries.static).forEach(([name, query]) => {
+            this.setFilterQuery(name, query)
+        })
+
+        // Send the configured page size and default sort with every request
+        this._applyPageSize(this.pageSize)
+        this._applySort(this.config.sorting.default)
+
         // Load theme
         const themeId = this.config.theme?.default || 'default'
         this._loadTheme(themeId)
@@ -45,36 +103,87 @@ class SmartSearchUI {
      * @throws {Error} if required config is missing
      */
     _validateConfig() {
+        const required = this._getMissingConfig(this.config)
+
+        if (required.length > 0) {
+            throw new Error(
+                `SmartSearchUI: Missing required configuration:\n  - ${required.join('\n  - ')}\n\n` +
+                `Please provide these values in config/project.config.js`
+            )
+        }
+    }
+
+    /**
+     * List the required configuration values missing from a merged config
+     * @param {Object} config - Config merged with the defaults
+     * @returns {Array<string>} Missing config paths, empty if the config is complete
+     */
+    _getMissingConfig(config) {
         const required = []
 
-        if (!this.config.server.defaultURL) {
+        if (!config.server.defaultURL) {
             required.push('server.defaultURL')
         }
-        if (!this.config.server.defaultPreparedSearch) {
+        if (!config.server.defaultPreparedSearch) {
             required.push('server.defaultPreparedSearch')
         }
 
+        config.server.profiles.forEach((profile, index) => {
+            ['id', 'name', 'url', 'preparedSearch'].forEach(key => {
+                if (!profile[key]) required.push(`server.profiles[${index}].${key}`)
+            })
+        })
+
         // Check result field mappings
-        if (!this.config.resultFields.title.field) {
+        if (!config.resultFields.title.field) {
             required.push('resultFields.title.field')
         }
-        if (!this.config.resultFields.description.fields || this.config.resultFields.description.fields.length === 0) {
+        if (!config.resultFields.description.fields || config.resultFields.description.fields.length === 0) {
             required.push('resultFields.description.fields')
         }
-        if (!this.config.resultFields.link.fields || this.config.resultFields.link.fields.length === 0) {
+        if (!config.resultFields.link.fields || config.resultFields.link.fields.length === 0) {
             required.push('resultFields.link.fields')
         }
 
-        if (this.config.dateFilter.enabled && !this.config.dateFilter.fieldName) {
+        if (config.dateFilter.enabled && !config.dateFilter.fieldName) {
             required.push('dateFilter.fieldName (required when dateFilter.enabled = true)')
         }
 
-        if (required.length > 0) {
-            throw new Error(
-                `SmartSearchUI: Missing required configuration:\n  - ${required.join('\n  - ')}\n\n` +
-                `Please provide these values in config/project.config.js`
-            )
+        // Fields of the configured facets: the per-field Solr params of a range facet would change them
+        const facetFields = new Map([...config.facets.order, ...Object.keys(config.facets.settings)]
+            .map(name => [(config.facets.settings[name] && config.facets.settings[name].field) || name, name]))
+
+        config.facets.ranges.forEach((range, index) => {
+            ['name', 'field'].forEach(key => {
+                if (!range[key]) required.push(`facets.ranges[${index}].${key}`)
+            })
+            if (facetFields.has(range.field)) {
+                required.push(`facets.ranges[${index}].field (also the field of facet '${facetFields.get(range.field)}')`)
+            }
+            const hasBuckets = (range.boundaries && range.boundaries.length > 1) ||
+                               (range.start !== undefined && range.end !== undefined && range.gap)
+            if (!hasBuckets) {
+                required.push(`facets.ranges[${index}].boundaries or start/end/gap`)
+            }
+        })
+
+        if (config.grouping.enabled && !config.grouping.field) {
+            required.push('grouping.field (required when grouping.enabled = true)')
         }
+
+        config.export.fields.forEach(field => {
+            if (!config.resultFields[field]) {
+                required.push(`resultFields.${field} (listed in export.fields)`)
+            }
+        })
+
+        config.analytics.sinks.forEach(sink => {
+            if (sink && sink.type === 'beacon' && !sink.endpoint) {
+                required.push('analytics.sinks[].endpoint (required for beacon sinks)')
+            }
+        })
+
+        return required
     }
 
     /**
@@ -90,13 +199,40 @@ class SmartSearchUI {
                 // REQUIRED in config - NO DEFAULTS
                 defaultURL: null,  // e.g., 'https://your-api.com'
                 defaultPreparedSearch: null,  // e.g., 'YourIndexName'
+                // Named connections of the settings modal, e.g. { id: 'qa', name: 'QA', url: 'https://...', preparedSearch: 'Docs' }
+                profiles: [],
+                probeQuery: '*',  // Query of the "Test connection" button
+                probeTimeout: 10000,  // ms
                 localStorageKeys: {
                     server: 'smartsearch-server',
-                    preparedSearch: 'smartsearch-prepared-search'
+                    preparedSearch: 'smartsearch-prepared-search',
+                    profiles: 'smartsearch-profiles'  // Profiles added by the user
                 }
             },
             facets: {
-                displayNames: {}
+                displayNames: {},
+                order: [],  // Facet names rendered first, in this order (the others follow in server order)
+                hidden: [],  // Facets that are never rendered (a selection from the URL still applies)
+                // Value list settings of every facet, overridden per facet name in settings
+                defaults: {
+                    // 'or' (any selected value), 'single' (one value), 'and' (all selected values)
+                    // or 'exclude' (none of the selected values); 'and'/'exclude' send a filter query on field
+                    mode: 'or',
+                    field: null,  // Solr field of the filter query (defaults to the facet name)
+                    separator: null,  // Path separator (e.g. '/') renders the facet as a tree with prefix filtering
+                    sort: 'server',  // 'server', 'count', 'alpha', 'custom' (valueOrder first) or a compare function
+                    valueOrder: [],  // Values in this order for sort: 'custom'
+                    valueLabels: {},  // e.g. { 'application/pdf': 'PDF' }
+                    maxVisible: 0,  // Values shown before "Show N more" (0 = all)
+                    minCount: 0,  // Values with fewer hits are left out unless selected
+                    searchThreshold: null  // More values than this get a search box (null = never)
+                },
+                settings: {},  // e.g. { mime_type: { valueLabels: { ... }, sort: 'count', maxVisible: 5 } }
+                // Range facets (histogram with a two-handle slider) on numeric or date fields, buckets from
+                // a Solr range facet (start/end/gap) or interval facet (boundaries), e.g.
+                // { name: 'size', field: 'size', boundaries: [0, 10240, 102400, 1048576, 10485760] }
+                // { name: 'published', field: 'meta_date', type: 'date', start: 'NOW/YEAR-4YEARS', end: 'NOW', gap: '+1YEAR' }
+                ranges: []
             },
             dateFilter: {
                 enabled: true,
@@ -126,29 +262,355 @@ class SmartSearchUI {
                 },
                 language: { field: null, default: 'EN' }  // e.g., 'language_keyword'
             },
+            filterQueries: {
+                param: 'fq',  // Solr standard
+                // Named filter queries applied to every request, e.g. { site: 'site:docs' }
+                static: {},
+                // Chip labels of custom filter queries, e.g. { size: 'File size' }
+                labels: {}
+            },
+            sorting: {
+                param: 'sort',  // Solr standard
+                // Sort options of the results header, e.g. { id: 'newest', label: 'Newest first', value: 'meta_date desc' }
+                // (id: message key 'sort.<id>' of the label)
+                // An option with an empty value keeps the server's (relevance) order
+                options: [],
+                default: null  // Value of the option selected initially
+            },
+            grouping: {
+                enabled: false,
+                field: null,  // e.g., 'mime_type', 'category'
+                limit: 3  // Results per group section (and per group page)
+            },
+            urlState: {
+                enabled: true,
+                // Query string parameter names used to serialize the search state
+                // (the query itself always uses 'query', matching the search form)
+                params: {
+                    page: 'page',
+                    pageSize: 'size',
+                    sort: 'sort',
+                    startDate: 'from',
+                    endDate: 'to',
+                    preset: 'preset',
+                    group: 'group',
+                    facetPrefix: 'f.'
+                }
+            },
             features: {
                 settingsModal: true,
                 fieldInspector: true,
+                mappingWizard: true,  // Field mapping wizard in the settings modal
+                compareMode: true,  // Side-by-side comparison of two prepared searches in the settings modal
                 dateFilter: true,
                 instantFiltering: true,
                 didYouMean: true,
-                smoothScrolling: true
+                smoothScrolling: true,
+                inPageSearch: true
             },
             ui: {
                 resultsPerPage: 10,
+                pageSizeOptions: [10, 25, 50],  // Results-per-page selector ([] hides it)
                 maxPaginationButtons: 5,
+                paginationMode: 'numbered',  // 'numbered', 'loadMore' or 'infinite'
+                infiniteScrollMargin: '400px',  // How early the infinite mode loads the next page
                 showResultCount: true,
-                emptyStateMessage: 'Enter a search query to get started',
+                emptyStateMessage: null,  // null = 'results.emptyState' message
                 emptyStateIcon: '🔍',
                 errorStateIcon: '⚠️'
             },
             hooks: {
                 beforeSearch: null,
                 afterSearch: null,
-                onResultClick: null,
+                onResultClick: null,  // (result, { rank, position, page })
                 beforeRender: null,
                 afterRender: null
             },
+            export: {
+                enabled: true,
+                maxResults: 1000,  // Cap for CSV/JSON downloads of all matching results
+                pageSize: 100,  // Results per request while exporting
+                fields: ['title', 'description', 'link', 'date', 'language'],  // resultFields mappings as columns
+                extraFields: [],  // Raw result fields added as columns, e.g. ['mime_type', 'size']
+                filename: 'search-results'
+            },
+            compare: {
+                depth: 20  // Results per column of the compare view
+            },
+            history: {
+                enabled: true,  // Recent searches on focus of the empty search bar, saved searches
+                maxRecent: 10,
+                localStorageKeys: {
+                    recent: 'smartsearch-recent-searches',
+                    saved: 'smartsearch-saved-searches'
+                }
+            },
+            analytics: {
+                enabled: true,  // false = events only reach on() listeners, not the sinks
+                // Where events are sent, see addAnalyticsSink():
+                // 'console', 'memory', { type: 'beacon', endpoint: '/analytics' },
+                // a function (event) or an object with send(event) and optional flush()
+                sinks: [],
+                // Local dashboard of searches, clicks and facet use (button next to the settings gear)
+                dashboard: {
+                    enabled: false,
+                    storage: 'indexedDB',  // 'indexedDB' or 'localStorage' (also used without IndexedDB)
+                    storageKey: 'smartsearch-analytics',  // Database name / localStorage key
+                    retentionDays: 30,
+                    maxEvents: 5000,
+                    topLimit: 10,  // Rows per list
+                    maxRank: 10  // Ranks shown in the click-through chart
+                }
+            },
+            sanitize: {
+                // Tags kept in highlight snippets, everything else is escaped
+                highlightTags: ['em', 'mark', 'strong', 'b'],
+                // Allowed absolute link protocols (relative links are always allowed)
+                linkProtocols: ['http:', 'https:']
+            },
+            i18n: {
+                locale: 'en',  // Initial locale (a user's choice is kept in localStorage)
+                fallbackLocale: 'en',
+                localStorageKey: 'smartsearch-locale',
+                // Locales offered in the settings modal
+                // dateLocale drives resultFields.date.locale, autocompleteLanguage the autocomplete 'language'
+                // (both default to the locale id)
+                locales: {
+                    en: { name: 'English' }
+                },
+                // Message catalogs per locale. A message is a string with {placeholders} or an
+                // object of plural forms ({ one, other, ... }) chosen by the 'count' parameter.
+                messages: {
+                    en: {
+                        'search.placeholder': 'Search for documents, articles, and more...',
+                        'search.submit': 'Search',
+                        'filters.title': 'Filters',
+                        'filters.clearAll': 'Clear All',
+                        'filters.dateRange': 'Date Range',
+                        'filters.from': 'From',
+                        'filters.to': 'To',
+                        'facet.reset': 'Reset',
+                        'facet.resetLabel': 'Reset {facet}',
+                        'facet.showMore': {
+                            one: 'Show 1 more',
+                            other: 'Show {count} more'
+                        },
+                        'facet.showLess': 'Show less',
+                        'facet.search': 'Search {facet}',
+                        'facet.searchPlaceholder': 'Filter values…',
+                        'facet.noMatch': 'No matching values',
+                        'facet.modeAnd': 'All',
+                        'facet.modeAndHint': 'Results match all selected values',
+                        'facet.modeExclude': 'Exclude',
+                        'facet.modeExcludeHint': 'Results with the selected values are left out',
+                        'facet.excludeValue': 'Exclude {value}',
+                        'facet.all': 'All',
+                        'facet.path': 'Selected path',
+                        'facet.expand': 'Expand {value}',
+                        'facet.collapse': 'Collapse {value}',
+                        'range.min': 'Minimum of {facet}',
+                        'range.max': 'Maximum of {facet}',
+                        'range.between': '{from} – {to}',
+                        'range.atLeast': '{value} and more',
+                        'range.below': 'Below {value}',
+                        'range.bucket': '{from} – {to}: {count}',
+                        'results.showing': {
+                            one: 'Showing {range} of {total} result for "{query}"',
+                            other: 'Showing {range} of {total} results for "{query}"'
+                        },
+                        'results.grouped': {
+                            one: '{total} result in {groups} groups for "{query}"',
+                            other: '{total} results in {groups} groups for "{query}"'
+                        },
+                        'results.none': 'No results found',
+                        'results.noneHint': 'Try different keywords or remove some filters',
+                        'results.emptyState': 'Enter a search query to get started',
+                        'results.error': 'An error occurred while searching',
+                        'results.errorHint': 'Please try again later',
+                        'results.showAllFields': 'Show all fields',
+                        'results.perPage': 'Per page',
+                        'results.sortBy': 'Sort by',
+                        'pagination.loadMore': 'Load more',
+                        'pagination.loading': 'Loading…',
+                        'groups.seeAll': 'See all in this group',
+                        'groups.previous': '‹ Previous',
+                        'groups.next': 'Next ›',
+                        'groups.back': '← All groups',
+                        'activeFilters.label': 'Active filters:',
+                        'activeFilters.remove': 'Remove filter',
+                        'activeFilters.clearAll': 'Clear all',
+                        'activeFilters.date': 'Date',
+                        'activeFilters.excluded': 'not {value}',
+                        'date.lastDays': { one: 'Last day', other: 'Last {count} days' },
+                        'date.range': '{start} – {end}',
+                        'date.from': 'From {date}',
+                        'date.until': 'Until {date}',
+                        'fields.title': 'All Fields',
+                        'fields.empty': 'N/A',
+                        'fields.filter': 'Filter fields and values…',
+                        'fields.view': 'View',
+                        'fields.formatted': 'Fields',
+                        'fields.raw': 'Raw JSON',
+                        'fields.copy': 'Copy',
+                        'fields.copyField': 'Copy {field}',
+                        'fields.copyDocument': 'Copy document',
+                        'fields.copied': 'Copied',
+                        'fields.copyFailed': 'Copy failed',
+                        'fields.highlights': 'Highlights',
+                        'fields.mappings': 'resultFields mappings',
+                        'fields.mappedTo': 'Used for resultFields.{role}',
+                        'fields.candidate': 'Listed for resultFields.{role}, empty or not first in this result',
+                        'fields.fallback': 'Fallback (no value in {candidates})',
+                        'fields.noMatch': 'No fields match',
+                        'dialog.close': 'Close',
+                        'settings.open': 'Settings',
+                        'settings.title': 'Settings',
+                        'settings.theme': 'Theme',
+                        'settings.themeHint': 'Changes apply instantly',
+                        'settings.language': 'Language',
+                        'settings.serverURL': 'Server URL',
+                        'settings.preparedSearch': 'Prepared Search',
+                        'settings.default': 'Default: {value}',
+                        'settings.reset': 'Reset to Default',
+                        'settings.cancel': 'Cancel',
+                        'settings.save': 'Save',
+                        'settings.profile': 'Connection profile',
+                        'settings.customProfile': 'Custom',
+                        'settings.projectProfiles': 'Project',
+                        'settings.userProfiles': 'Saved in this browser',
+                        'settings.profileHint': 'Switching applies instantly',
+                        'settings.saveProfile': 'Save as profile',
+                        'settings.profileName': 'Name for this connection profile',
+                        'settings.deleteProfile': 'Delete profile',
+                        'settings.testConnection': 'Test connection',
+                        'settings.testing': 'Testing…',
+                        'settings.testSuccess': {
+                            one: 'Connected in {latency} ms, 1 result',
+                            other: 'Connected in {latency} ms, {count} results'
+                        },
+                        'settings.testFailed': 'Connection failed: {message}',
+                        'settings.timeout': 'No response after {seconds} s',
+                        'wizard.open': 'Field mapping wizard',
+                        'wizard.openHint': 'Map the fields of a new prepared search and download a project.config.js',
+                        'wizard.title': 'Field Mapping Wizard',
+                        'wizard.sampleQuery': 'Sample query',
+                        'wizard.run': 'Run',
+                        'wizard.loading': 'Running sample query…',
+                        'wizard.error': 'The sample query failed: {message}',
+                        'wizard.noResults': 'The sample query returned no results. Try another query.',
+                        'wizard.mapping': 'Field mapping',
+                        'wizard.none': '— none —',
+                        'wizard.facets': 'Facet display names',
+                        'wizard.noFacets': 'This prepared search returns no facets.',
+                        'wizard.fields': 'Discovered fields',
+                        'wizard.field': 'Field',
+                        'wizard.example': 'Example value',
+                        'wizard.coverage': 'In results',
+                        'wizard.coverageValue': '{count} of {total}',
+                        'wizard.preview': 'Preview',
+                        'wizard.config': 'Generated configuration',
+                        'wizard.valid': 'The configuration passes validation.',
+                        'wizard.invalid': 'Still missing:',
+                        'wizard.copy': 'Copy',
+                        'wizard.download': 'Download project.config.js',
+                        'compare.open': 'Compare prepared searches',
+                        'compare.openHint': 'Run one query against two connections and compare the rankings',
+                        'compare.title': 'Compare Prepared Searches',
+                        'compare.left': 'A',
+                        'compare.right': 'B',
+                        'compare.query': 'Query',
+                        'compare.run': 'Compare',
+                        'compare.loading': 'Searching both connections…',
+                        'compare.error': 'The comparison failed: {message}',
+                        'compare.noResults': 'No results',
+                        'compare.hits': {
+                            one: '1 hit',
+                            other: '{count} hits'
+                        },
+                        'compare.latency': '{latency} ms',
+                        'compare.overlap': 'Overlap',
+                        'compare.overlapValue': '{count} of {depth}',
+                        'compare.shareOfLeft': 'Share of A',
+                        'compare.shareOfRight': 'Share of B',
+                        'compare.averageRankChange': 'Avg. rank change',
+                        'compare.onlyIn': 'Only in {side}',
+                        'compare.rankIn': '#{rank} in {side}',
+                        'compare.same': 'Same rank as in A',
+                        'compare.up': {
+                            one: 'Up 1 rank compared to A',
+                            other: 'Up {count} ranks compared to A'
+                        },
+                        'compare.down': {
+                            one: 'Down 1 rank compared to A',
+                            other: 'Down {count} ranks compared to A'
+                        },
+                        'compare.announcement': {
+                            one: 'Comparison ready, 1 shared result',
+                            other: 'Comparison ready, {count} shared results'
+                        },
+                        'export.button': 'Export',
+                        'export.csv': 'Download CSV',
+                        'export.json': 'Download JSON',
+                        'export.clipboard': 'Copy this page',
+                        'export.limit': 'All results, up to {max}',
+                        'export.progress': 'Exporting {count} of {total}…',
+                        'export.cancel': 'Cancel',
+                        'export.done': {
+                            one: 'Exported 1 result',
+                            other: 'Exported {count} results'
+                        },
+                        'export.copied': {
+                            one: 'Copied 1 result to the clipboard',
+                            other: 'Copied {count} results to the clipboard'
+                        },
+                        'export.cancelled': 'Export cancelled',
+                        'export.failed': 'Export failed',
+                        'history.toggle': 'Recent and saved searches',
+                        'history.recent': 'Recent searches',
+                        'history.saved': 'Saved searches',
+                        'history.noRecent': 'No recent searches',
+                        'history.noSaved': 'No saved searches',
+                        'history.clear': 'Clear history',
+                        'history.save': 'Save search',
+                        'history.saveName': 'Name for this search',
+                        'history.savedAnnouncement': 'Search saved as "{name}"',
+                        'history.remove': 'Delete saved search {name}',
+                        'history.savedMeta': {
+                            zero: '{query}',
+                            one: '{query} · 1 filter',
+                            other: '{query} · {count} filters'
+                        },
+                        'dashboard.open': 'Search analytics',
+                        'dashboard.title': 'Search Analytics',
+                        'dashboard.retention': {
+                            one: 'Recorded on this device, last day',
+                            other: 'Recorded on this device, last {count} days'
+                        },
+                        'dashboard.loading': 'Loading…',
+                        'dashboard.empty': 'No searches recorded yet',
+                        'dashboard.searches': 'Searches',
+                        'dashboard.zeroResultRate': 'Zero-result rate',
+                        'dashboard.clicks': 'Result clicks',
+                        'dashboard.clickThroughRate': 'Click-through rate',
+                        'dashboard.topQueries': 'Top queries',
+                        'dashboard.zeroResultQueries': 'Zero-result queries',
+                        'dashboard.ctrByRank': 'Click-through rate by rank',
+                        'dashboard.topFacets': 'Most used facets',
+                        'dashboard.query': 'Query',
+                        'dashboard.count': 'Count',
+                        'dashboard.averageResults': 'Avg. results',
+                        'dashboard.lastSearched': 'Last searched',
+                        'dashboard.rank': 'Rank',
+                        'dashboard.facet': 'Facet',
+                        'dashboard.topValues': 'Top values',
+                        'dashboard.none': 'None',
+                        'dashboard.exportCSV': 'Export CSV',
+                        'dashboard.exportJSON': 'Export JSON',
+                        'dashboard.clear': 'Clear data',
+                        'dashboard.clearConfirm': 'Delete all recorded search analytics on this device?'
+                    }
+                }
+            },
             resultTemplate: null
         }
 
@@ -273,6 +735,8 @@ class SmartSearchUI {
      * Switch to a different theme
      */
     switchTheme(themeId) {
+        const previousTheme = this.currentThemeId
+
         // Save to localStorage
         if (this.config.theme?.localStorageKey) {
             localStorage.setItem(this.config.theme.localStorageKey, themeId)
@@ -286,6 +750,8 @@ class SmartSearchUI {
             this.renderAllFacets(this.currentPage)
             this.renderSearchResults(this.currentPage)
         }
+
+        this.emit('themeChange', { theme: this.currentThemeId, previousTheme })
     }
 
     /**
@@ -324,6 +790,14 @@ class SmartSearchUI {
         if (this.config.features.settingsModal) {
             this._initSettingsButton()
         }
+
+        if (this.config.analytics.dashboard.enabled) {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => this._setupAnalyticsButton())
+            } else {
+                this._setupAnalyticsButton()
+            }
+        }
     }
 
     /**
@@ -337,23 +811,38 @@ class SmartSearchUI {
             this.fsss.attachAutocompleteWidget(this.searchbar)
         }
 
-        const queryString = window.location.search
-        const urlParams = new URLSearchParams(queryString)
-        const queryTerm = urlParams.get("query")
+        this._translateStaticText()
 
-        if (queryTerm) {
-            const page = await this.search(queryTerm)
+        this._initResultKeyboardNavigation()
+        this._initAnalyticsTracking()
+        this._initSearchHistory()
 
-            if (page) {
-                this.currentPage = page
+        // Without urlState the history entries of in-page searches hold only the query
+        window.addEventListener('popstate', () => this._onPopState())
 
-                if (page.facets) {
-                    this.initFacetContainer(page)
-                    this.renderAllFacets(page)
-                }
+        const state = this._readUrlState()
 
-                this.renderSearchResults(page)
-                this.updateResultsInfo(page, queryTerm)
+        if (state.pageSize) {
+            this._applyPageSize(state.pageSize)
+        }
+        if (state.sort !== null) {
+            this._applySort(state.sort)
+        }
+        this._initPageSizeSelector()
+        this._initSortSelector()
+        this._initSaveSearchButton()
+        this._initExportControl()
+
+        if (state.query) {
+            if (this.searchbar) {
+                this.searchbar.value = state.query
+            }
+
+            const page = await this._request(requestId => this._restoreState(state, requestId))
+
+            if (page) {
+                this._renderPage(page)
+                this._trackSearch(page, 'url')
             }
         } else {
             this.showEmptyState()
@@ -361,817 +850,5661 @@ class SmartSearchUI {
     }
 
     /**
-     * Execute a search
+     * Run a new search in place, without reloading the page
+     * Clears facet selections, date filter and pagination of the previous search
+     * @param {string} query - Search query
      */
-    async search(query) {
-        try {
-            // Before search hook
-            if (this.config.hooks.beforeSearch) {
-                query = this.config.hooks.beforeSearch(query)
-            }
-
-            let page = await this.fsss.search(query)
-
-            // After search hook
-            if (this.config.hooks.afterSearch) {
-                page = this.config.hooks.afterSearch(page)
-            }
+    async submitSearch(query) {
+        query = (query || '').trim()
+        if (!query) return
+
+        this._resetSearchParams()
+
+        const page = await this._request(requestId => this._restoreState({
+            query,
+            facets: {},
+            startDate: null,
+            endDate: null,
+            presetDays: null,
+            group: null,
+            page: 1,
+            pageSize: this.pageSize,
+            sort: this.currentSort
+        }, requestId))
+
+        if (page) {
+            this._renderPage(page)
+            this._writeUrlState(page, true)
+            this._trackSearch(page, 'submit')
+        }
+    }
 
-            return page
-        } catch (error) {
-            console.error('Search error:', error)
-            this.showErrorState(error)
-            return null
+    /**
+     * Render facets, results and result info for a page and make it the current page
+     */
+    _renderPage(page) {
+        this.currentPage = page
+        this._initPageSizeSelector()
+        this._initSortSelector()
+        this._initSaveSearchButton()
+        this._initExportControl()
+
+        if (page.facets) {
+            this.initFacetContainer(page)
+            this.renderAllFacets(page)
         }
+
+        this.renderSearchResults(page)
+        this.updateResultsInfo(page, this.currentQuery)
     }
 
     /**
-     * Get field value from result with fallback logic
+     * Read the search state (query, facets, date range, preset, page) from the URL
+     * @returns {Object} State object as produced by _captureState()
      */
-    getField(result, fieldName) {
-        const fieldConfig = this.config.resultFields[fieldName]
-        if (!fieldConfig) return null
+    _readUrlState() {
+        const urlParams = new URLSearchParams(window.location.search)
+        const names = this.config.urlState.params
+        const state = {
+            query: urlParams.get('query'),
+            facets: {},
+            startDate: null,
+            endDate: null,
+            presetDays: null,
+            group: null,
+            page: 1,
+            pageSize: null,
+            sort: null
+        }
 
-        // Handle single field
-        if (fieldConfig.field) {
-            const value = result[fieldConfig.field]
-            if (value) {
-                return Array.isArray(value) ? value[0] : value
-            }
-            return fieldConfig.fallback || null
+        if (!this.config.urlState.enabled) {
+            return state
         }
 
-        // Handle multiple fields (priority order)
-        if (fieldConfig.fields) {
-            for (const field of fieldConfig.fields) {
-                const value = result[field]
-                if (value) {
-                    return Array.isArray(value) ? value[0] : value
-                }
+        urlParams.forEach((value, key) => {
+            if (key.startsWith(names.facetPrefix)) {
+                const facetName = key.substring(names.facetPrefix.length)
+                state.facets[facetName] = state.facets[facetName] || []
+                state.facets[facetName].push(value)
             }
-            return fieldConfig.fallback || null
-        }
+        })
 
-        return null
-    }
+        state.startDate = urlParams.get(names.startDate)
+        state.endDate = urlParams.get(names.endDate)
 
-    /**
-     * Format date from result
-     */
-    formatDate(result) {
-        const dateConfig = this.config.resultFields.date
-        const dateValue = result[dateConfig.field]
+        state.group = urlParams.get(names.group)
 
-        if (!dateValue) return dateConfig.fallback
+        const presetDays = Number(urlParams.get(names.preset))
+        if (presetDays > 0) {
+            state.presetDays = presetDays
+        }
 
-        try {
-            return new Date(dateValue).toLocaleDateString(
-                dateConfig.locale,
-                dateConfig.format
-            )
-        } catch (e) {
-            console.error('Date parsing error:', e)
-            return dateConfig.fallback
+        const pageNumber = Number(urlParams.get(names.page))
+        if (pageNumber > 1) {
+            state.page = Math.floor(pageNumber)
+        }
+
+        const pageSize = Number(urlParams.get(names.pageSize))
+        if (pageSize > 0) {
+            state.pageSize = Math.floor(pageSize)
         }
+
+        state.sort = urlParams.get(names.sort)
+
+        return state
     }
 
     /**
-     * Calculate date range for preset filter
-     * @param {number} days - Number of days to go back from now
-     * @returns {Object} Object with startISO and endISO strings
+     * Capture the current search state from a result page and the date inputs
+     * @param {Object} page - Current search result page
+     * @returns {Object} State object
      */
-    _calculatePresetDateRange(days) {
-        const now = new Date()
-        const startDate = new Date(now)
-        startDate.setDate(now.getDate() - days)
+    _captureState(page) {
+        const state = {
+            query: this.currentQuery,
+            facets: {},
+            startDate: null,
+            endDate: null,
+            presetDays: this.activePresetDays,
+            group: this.filterQueries.has('group') ? this.activeGroup : null,
+            // Appended pages are not restorable, a reload starts at the first page
+            page: this._isAppendingPagination() ? 1 : this._getPageNumber(page),
+            pageSize: this.pageSize,
+            sort: this.currentSort
+        }
 
-        // Set to start of day (00:00:00)
-        startDate.setHours(0, 0, 0, 0)
+        if (page && page.facets) {
+            page.facets.forEach(facet => {
+                if (facet.selectedValues && facet.selectedValues.length > 0) {
+                    state.facets[facet.name] = [...facet.selectedValues]
+                }
+            })
+        }
 
-        // Set end to now (current time)
-        const startISO = startDate.toISOString()
-        const endISO = now.toISOString()
+        // Facets in 'and'/'exclude' mode select through their filter query
+        this.filterQueries.forEach(entry => {
+            if (entry.facet) state.facets[entry.facet] = [...entry.values]
+        })
 
-        return { startISO, endISO }
+        if (this.config.dateFilter.enabled && !this.activePresetDays) {
+            state.startDate = document.getElementById("start-date")?.value || null
+            state.endDate = document.getElementById("end-date")?.value || null
+        }
+
+        return state
     }
 
     /**
-     * Apply a preset date filter
-     * @param {number} days - Number of days to filter
-     * @param {string} label - Preset label for logging
-     * @param {HTMLElement} buttonElement - The clicked button element
+     * Serialize a state object into a query string
+     * @param {Object} state - State object
+     * @returns {string} Query string including the leading '?'
      */
-    async _applyDatePreset(days, label, buttonElement) {
-        if (!this.currentPage || !this.currentPage.facets || this.currentPage.facets.length === 0) {
-            console.warn('Cannot apply preset: no current page or facets')
-            return
+    _serializeState(state) {
+        const names = this.config.urlState.params
+        const urlParams = new URLSearchParams()
+
+        if (state.query) {
+            urlParams.set('query', state.query)
         }
 
-        // Calculate date range
-        const { startISO, endISO } = this._calculatePresetDateRange(days)
+        Object.entries(state.facets).forEach(([facetName, values]) => {
+            values.forEach(value => urlParams.append(names.facetPrefix + facetName, value))
+        })
 
-        // Build Solr date query (same format as manual date filter)
-        const dateFilterQuery = `${this.config.dateFilter.fieldName}:[${startISO} TO ${endISO}]`
+        if (state.presetDays) {
+            urlParams.set(names.preset, state.presetDays)
+        } else {
+            if (state.startDate) urlParams.set(names.startDate, state.startDate)
+            if (state.endDate) urlParams.set(names.endDate, state.endDate)
+        }
 
-        // Set custom params
-        this.fsss.setCustomParams({ [this.config.dateFilter.solrFilterParam]: dateFilterQuery })
+        if (state.group) {
+            urlParams.set(names.group, state.group)
+        }
 
-        // Clear manual date inputs
-        const startDateInput = document.getElementById("start-date")
-        const endDateInput = document.getElementById("end-date")
-        if (startDateInput) startDateInput.value = ''
-        if (endDateInput) endDateInput.value = ''
+        if (state.page > 1) {
+            urlParams.set(names.page, state.page)
+        }
 
-        // Store active preset (will be reapplied after render)
-        this.activePresetDays = days
+        if (state.pageSize && state.pageSize !== this.config.ui.resultsPerPage) {
+            urlParams.set(names.pageSize, state.pageSize)
+        }
 
-        // Trigger filter
-        await this.filter(this.currentPage.facets[0])
+        // An empty value keeps the server order even if another sort is the default
+        if (typeof state.sort === 'string' && state.sort !== this._getDefaultSort()) {
+            urlParams.set(names.sort, state.sort)
+        }
+
+        const queryString = urlParams.toString()
+        return queryString ? `?${queryString}` : ''
     }
 
     /**
-     * Update which preset button appears active
-     * @param {HTMLElement|null} activeButton - The button to mark active, or null to clear all
+     * Write the current search state to the URL as a new history entry
+     * With urlState disabled only new searches get an entry (?query=...), so back/forward
+     * still steps through the searches run in place.
+     * @param {Object} page - Page that was just rendered
+     * @param {boolean} newSearch - Whether the page is the first page of a new query
      */
-    _updatePresetActiveState(activeButton) {
-        const container = document.getElementById('date-presets-container')
-        if (!container) return
+    _writeUrlState(page, newSearch = false) {
+        if (this._restoringState) return
+        if (!this.config.urlState.enabled && !newSearch) return
 
-        // Remove active class from all buttons
-        const allButtons = container.querySelectorAll('.preset-btn')
-        allButtons.forEach(btn => btn.classList.remove('active'))
+        const search = this.config.urlState.enabled
+            ? this._serializeState(this._captureState(page))
+            : `?${new URLSearchParams({ query: this.currentQuery })}`
+        if (search === window.location.search) return
 
-        // Add active class to clicked button
-        if (activeButton) {
-            activeButton.classList.add('active')
-        }
+        const url = `${window.location.pathname}${search}${window.location.hash}`
+        window.history.pushState({ smartSearch: true }, '', url)
     }
 
     /**
-     * Initialize facet container
+     * Replay a state object: apply date filter, run the query, select facet values, open the page
+     * Stops between the steps once a newer request has started, they share the request parameters.
+     * @param {Object} state - State object from _readUrlState()
+     * @param {number} requestId - Id of the request running the replay (see _request())
+     * @returns {Promise<Object|null>} Resulting page, or null if the search failed or was superseded
      */
-    initFacetContainer(page) {
-        this.facetContainer = document.getElementById("facets-container")
-
-        if (!this.facetContainer) {
-            console.warn("Facets container element not found")
-            return
-        }
+    async _restoreState(state, requestId = this._requestId) {
+        const superseded = () => requestId !== this._requestId
 
-        this.facetContainer.innerHTML = ""
+        this._restoringState++
+        this.currentQuery = state.query
 
-        // Hook up reset all button
-        const resetAllButton = document.getElementById("reset-all-facets-btn")
-        if (resetAllButton) {
-            resetAllButton.onclick = async () => {
-                // Clear date inputs
-                if (this.config.dateFilter.enabled) {
-                    const startDateInput = document.getElementById("start-date")
-                    const endDateInput = document.getElementById("end-date")
-                    if (startDateInput) startDateInput.value = ''
-                    if (endDateInput) endDateInput.value = ''
-
-                    // Remove date filter
-                    this.fsss.deleteCustomParams(this.config.dateFilter.solrFilterParam)
-
-                    // NEW: Clear preset active state
-                    this.activePresetDays = null
-                }
+        try {
+            this._applyDateState(state)
+            this._applyGroupState(state)
+            this._applyFacetFilterState(state)
+            this._applyPageSize(state.pageSize || this.config.ui.resultsPerPage)
+            this._applySort(state.sort ?? this._getDefaultSort())
+
+            // Facet selections are part of the one search request
+            const selections = Object.entries(state.facets)
+                .filter(([facetName]) => !this._usesFacetFilterQuery(facetName))
+            this._setFacetSelectionParams(selections)
+
+            let page = await this.search(state.query, requestId)
+            if (!page || superseded()) return null
+
+            // Values the index does not know (e.g. from an old link) are dropped with a second request
+            const allowedSelections = selections.map(([facetName, values]) => {
+                const facet = (page.facets || []).find(f => f.name === facetName)
+                return [facetName, facet ? values.filter(value => facet.isValueAllowed(value)) : []]
+            })
+            if (allowedSelections.some(([, values], index) => values.length !== selections[index][1].length)) {
+                this._setFacetSelectionParams(allowedSelections)
+                page = await this.search(state.query, requestId)
+                if (!page || superseded()) return null
+            }
 
-                const resetPage = await page.resetFacets()
-                this.initFacetContainer(resetPage)
-                this.renderAllFacets(resetPage)
-                this.renderSearchResults(resetPage)
-                this.updateResultsInfo(resetPage, new URLSearchParams(window.location.search).get("query"))
+            if (state.page > 1 && page.hasPage(state.page - 1)) {
+                page = await page.getPage(state.page - 1)
+                if (superseded()) return null
             }
+
+            return page
+        } catch (error) {
+            if (superseded()) return null
+            console.error('State restore error:', error)
+            this.showErrorState(error)
+            return null
+        } finally {
+            this._restoringState--
         }
     }
 
     /**
-     * Render all facets
+     * Write facet selections into the shared request parameters, as facet.filter() of the bundle does
+     * @param {Array<Array>} selections - [facet name, values] pairs, no values clears the facet
      */
-    renderAllFacets(page) {
-        if (!page.facets || page.facets.length === 0) return
+    _setFacetSelectionParams(selections) {
+        let parameterList = this.fsss.searchClient.parameterList
 
-        // Setup date filter
-        if (this.config.dateFilter.enabled) {
-            this._setupDateFilter(page)
-        }
-
-        // Render each facet
-        page.facets.forEach((facet) => {
-            const displayName = this.config.facets.displayNames[facet.name]
-            if (displayName) {
-                const facetToRender = facet.setDisplayName(displayName)
-                this.renderFacet(facetToRender)
-            } else {
-                this.renderFacet(facet)
-            }
+        selections.forEach(([facetName, values]) => {
+            const paramName = `facet.filter.${facetName}`
+            parameterList = parameterList.deleteAll(paramName)
+                .add(...values.map(value => ({ [paramName]: `"${value}"` })))
         })
+
+        this.fsss.searchClient.parameterList = parameterList
     }
 
     /**
-     * Setup date filter inputs
+     * Apply the date part of a state object to the inputs and the Solr filter
+     * @param {Object} state - State object
      */
-    _setupDateFilter(page) {
-        const dateFilterBox = document.getElementById("custom-date-filter")
-        if (!dateFilterBox) return
+    _applyDateState(state) {
+        if (!this.config.dateFilter.enabled) return
 
-        dateFilterBox.style.display = ""
+        const startDateInput = document.getElementById("start-date")
+        const endDateInput = document.getElementById("end-date")
+        const filterParam = this.config.dateFilter.solrFilterParam
 
-        // NEW: Render preset buttons if enabled
-        if (this.config.dateFilter.presets.enabled &&
-            this.config.dateFilter.presets.options &&
-            this.config.dateFilter.presets.options.length > 0) {
+        this.activePresetDays = state.presetDays || null
 
-            const presetsContainer = document.getElementById("date-presets-container")
-            if (presetsContainer) {
-                presetsContainer.innerHTML = '' // Clear existing
+        if (startDateInput) startDateInput.value = state.presetDays ? '' : (state.startDate || '')
+        if (endDateInput) endDateInput.value = state.presetDays ? '' : (state.endDate || '')
 
-                this.config.dateFilter.presets.options.forEach(preset => {
-                    const button = document.createElement("button")
-                    button.className = "preset-btn"
-                    button.textContent = preset.label
-                    button.type = "button"
-
-                    // Reapply active state if this preset is currently active
-                    if (this.activePresetDays === preset.days) {
-                        button.classList.add('active')
-                    }
-
-                    button.addEventListener("click", async () => {
-                        await this._applyDatePreset(preset.days, preset.label, button)
-                    })
-
-                    presetsContainer.appendChild(button)
-                })
-            }
+        if (state.presetDays) {
+            const { startISO, endISO } = this._calculatePresetDateRange(state.presetDays)
+            this.setFilterQuery('date', `${this.config.dateFilter.fieldName}:[${startISO} TO ${endISO}]`, filterParam)
+        } else if (state.startDate || state.endDate) {
+            this.setFilterQuery('date', this._buildDateRangeQuery(state.startDate, state.endDate), filterParam)
+        } else {
+            this.removeFilterQuery('date')
         }
+    }
 
-        let startDateInput = document.getElementById("start-date")
-        let endDateInput = document.getElementById("end-date")
-        const resetDateBtn = document.getElementById("reset-date-filter")
+    /**
+     * Apply the group part of a state object ("see all in this group" filter)
+     * @param {Object} state - State object
+     */
+    _applyGroupState(state) {
+        if (state.group && this.config.grouping.enabled) {
+            this.activeGroup = state.group
+            this.setFilterQuery('group', this._buildGroupQuery(state.group))
+        } else {
+            this.activeGroup = null
+            this.removeFilterQuery('group')
+        }
+    }
 
-        if (startDateInput && endDateInput) {
-            // Remove existing listeners
-            startDateInput.replaceWith(startDateInput.cloneNode(true))
-            endDateInput.replaceWith(endDateInput.cloneNode(true))
+    /**
+     * Apply the selection of 'and'/'exclude' facets in a state object as filter queries
+     * These have to be set before the search, the other facets filter the result page.
+     * @param {Object} state - State object
+     */
+    _applyFacetFilterState(state) {
+        Array.from(this.filterQueries.entries())
+            .filter(([, entry]) => entry.facet)
+            .forEach(([name]) => this.filterQueries.delete(name))
 
-            // Get fresh references
-            startDateInput = document.getElementById("start-date")
-            endDateInput = document.getElementById("end-date")
+        Object.entries(state.facets).forEach(([facetName, values]) => {
+            if (this._usesFacetFilterQuery(facetName)) this._setFacetFilterQuery(facetName, values)
+        })
 
-            // Add change listeners
-            startDateInput.addEventListener("change", () => {
-                // NEW: Clear preset active state when manually entering dates
-                this.activePresetDays = null
+        this._applyCustomParams()
+    }
 
-                // If both inputs are cleared, remove the date filter
-                if (!startDateInput.value && !endDateInput.value) {
-                    this.fsss.deleteCustomParams(this.config.dateFilter.solrFilterParam)
-                }
+    /**
+     * Handle browser back/forward navigation by replaying the URL state
+     */
+    async _onPopState() {
+        const state = this._readUrlState()
 
-                if (page.facets && page.facets.length > 0) {
-                    this.filter(page.facets[0])
-                }
-            })
+        // Drop facet and pagination params left over from the previous state
+        this._resetSearchParams()
 
-            endDateInput.addEventListener("change", () => {
-                // NEW: Clear preset active state when manually entering dates
-                this.activePresetDays = null
+        if (this.searchbar) {
+            this.searchbar.value = state.query || ''
+        }
 
-                // If both inputs are cleared, remove the date filter
-                if (!startDateInput.value && !endDateInput.value) {
-                    this.fsss.deleteCustomParams(this.config.dateFilter.solrFilterParam)
-                }
+        if (!state.query) {
+            this._discardPendingRequests()
+            this.currentPage = null
+            this.currentQuery = null
+            if (this.facetContainer) this.facetContainer.innerHTML = ''
+            const paginationWrapper = document.getElementById("pagination")
+            if (paginationWrapper) paginationWrapper.innerHTML = ''
+            this.showEmptyState()
+            return
+        }
 
-                if (page.facets && page.facets.length > 0) {
-                    this.filter(page.facets[0])
-                }
-            })
+        const page = await this._request(requestId => this._restoreState(state, requestId))
 
-            // Reset button
-            if (resetDateBtn) {
-                resetDateBtn.onclick = async () => {
-                    startDateInput.value = ''
-                    endDateInput.value = ''
-                    this.fsss.deleteCustomParams(this.config.dateFilter.solrFilterParam)
+        if (page) {
+            this._renderPage(page)
+        }
+    }
 
-                    // NEW: Clear preset active state
-                    this.activePresetDays = null
+    /**
+     * Run a search request and drop its result if a newer request started in the meantime
+     * The bundle's fetch cannot be aborted, so out-of-order responses are discarded instead.
+     * The results and facets show a loading state while the latest request is in flight.
+     * @param {Function} run - Starts the request and returns its promise, called with the request id
+     * @returns {Promise<*|null>} Result, or null if the request was superseded
+     */
+    async _request(run) {
+        const requestId = ++this._requestId
+        this._setLoading(true)
 
-                    if (page.facets && page.facets.length > 0) {
-                        this.filter(page.facets[0])
-                    }
-                }
+        try {
+            const result = await run(requestId)
+            return requestId === this._requestId ? result : null
+        } catch (error) {
+            if (requestId !== this._requestId) return null
+            throw error
+        } finally {
+            if (requestId === this._requestId) {
+                this._setLoading(false)
             }
         }
     }
 
     /**
-     * Render a single facet
+     * Ignore the responses of all requests in flight
      */
-    renderFacet(facet) {
-        if (!this.facetContainer) return
-
-        // Check if theme provides custom rendering
-        if (this.currentTheme?.components?.renderFacet) {
-            const html = this.currentTheme.components.renderFacet(facet, this)
-            const facetElement = this._htmlToElement(html)
+    _discardPendingRequests() {
+        this._requestId++
+        this._setLoading(false)
+    }
 
-            // Attach theme's event handlers if provided
-            if (this.currentTheme.eventHandlers?.attachFacetListeners) {
-                this.currentTheme.eventHandlers.attachFacetListeners(facetElement, facet, this)
-            }
+    /**
+     * Toggle the loading state of the result list and the facet container
+     */
+    _setLoading(loading) {
+        this.isLoading = loading
+
+        const elements = [document.getElementById("search-results"), document.getElementById("facets-container")]
+        elements.forEach(element => {
+            if (!element) return
+            element.classList.toggle('is-loading', loading)
+            element.setAttribute('aria-busy', String(loading))
+        })
+    }
 
-            this.facetContainer.appendChild(facetElement)
-            return
+    /**
+     * Remove facet selections and pagination params from the shared request parameters
+     * The facet search terms and expanded value lists of the previous search are dropped as well.
+     */
+    _resetSearchParams() {
+        if (this.currentPage && this.currentPage.facets) {
+            this.currentPage.facets.forEach(facet => facet.reset())
         }
+        this.fsss.deleteCustomParams('haupia_pageNumber', 'haupia_start')
+        this._resetFacetListState()
+    }
 
-        // Default rendering (fallback)
-        this._renderFacetDefault(facet)
+    /**
+     * Forget the text typed into the facet search boxes and which facets show all values
+     */
+    _resetFacetListState() {
+        this._facetSearchTerms.clear()
+        this._expandedFacets.clear()
     }
 
     /**
-     * Default facet rendering (used when no theme override)
+     * Whether pages are appended to the result list instead of replacing it
      */
-    _renderFacetDefault(facet) {
-        if (!this.facetContainer) return
+    _isAppendingPagination() {
+        const mode = this.config.ui.paginationMode
+        return mode === 'loadMore' || mode === 'infinite'
+    }
 
-        const facetGroup = document.createElement("div")
-        facetGroup.classList.add("facet-group")
+    /**
+     * Get the 1-based page number of a result page
+     * @param {Object} page - Search result page
+     * @returns {number}
+     */
+    _getPageNumber(page) {
+        const pageNumber = page && page.paginationParams && page.paginationParams.pageNumber
+        return typeof pageNumber === 'number' ? pageNumber + 1 : 1
+    }
 
-        // Title with reset button
-        const titleContainer = document.createElement("div")
-        titleContainer.classList.add("filter-group-title")
+    /**
+     * Execute a search
+     * @param {string} query - Search query
+     * @param {number} requestId - Id of the request running the search (see _request()); errors
+     *   of a superseded request are not shown
+     * @returns {Promise<Object|null>} Result page, or null if the search failed
+     */
+    async search(query, requestId = this._requestId) {
+        try {
+            // Before search hook
+            if (this.config.hooks.beforeSearch) {
+                query = this.config.hooks.beforeSearch(query)
+            }
 
-        const title = document.createElement("span")
-        title.innerText = facet.displayName || facet.name
-        titleContainer.appendChild(title)
+            let page = await this.fsss.search(query)
 
-        const resetBtn = document.createElement("button")
-        resetBtn.classList.add("facet-reset-btn")
-        resetBtn.innerText = "Reset"
-        resetBtn.onclick = () => this.filter(facet, true)
-        titleContainer.appendChild(resetBtn)
+            // After search hook
+            if (this.config.hooks.afterSearch) {
+                page = this.config.hooks.afterSearch(page)
+            }
 
-        facetGroup.appendChild(titleContainer)
+            return page
+        } catch (error) {
+            if (requestId !== this._requestId) return null
+            console.error('Search error:', error)
+            this.showErrorState(error)
+            return null
+        }
+    }
 
-        // Options container
-        const optionsContainer = document.createElement("div")
-        optionsContainer.classList.add("facet-options")
+    /**
+     * Listen to an analytics event
+     * Events: search, zeroResults, filterChange, pageChange, resultClick,
+     * didYouMeanClick, autocompleteSelect, themeChange (payloads see README).
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with the event object
+     * @returns {Function} Removes the listener
+     */
+    on(type, handler) {
+        this._getEventListeners(type).add(handler)
+        return () => this.off(type, handler)
+    }
 
-        // Add each option
-        facet.counts.forEach(count => {
-            const option = document.createElement("div")
-            option.classList.add("facet-option")
+    /**
+     * Remove an analytics event listener
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        this._getEventListeners(type).delete(handler)
+    }
 
-            const checkbox = document.createElement("input")
-            checkbox.type = "checkbox"
-            checkbox.name = count.value
-            checkbox.id = `facet-${facet.name}-${count.value}`
-            checkbox.addEventListener("input", () => this.filter(facet))
+    /**
+     * Emit an analytics event to the listeners and sinks
+     * Every event carries type, timestamp and the current query besides its payload.
+     * @param {string} type - Event type
+     * @param {Object} data - Event payload
+     * @returns {Object} The emitted event
+     */
+    emit(type, data = {}) {
+        const listeners = this._getEventListeners(type)
+
+        const event = {
+            type,
+            timestamp: new Date().toISOString(),
+            query: this.currentQuery,
+            ...data
+        }
 
-            if (facet.selectedValues && facet.selectedValues.includes(count.value)) {
-                checkbox.checked = true
+        listeners.forEach(handler => {
+            try {
+                handler(event)
+            } catch (error) {
+                console.error(`[SmartSearchUI] '${type}' listener failed:`, error)
             }
+        })
 
-            const label = document.createElement("label")
-            label.htmlFor = checkbox.id
-            label.innerHTML = `
-                <span>${count.value}</span>
-                <span class="facet-count">(${count.count})</span>
-            `
+        if (this.config.analytics.enabled) {
+            this.analyticsSinks.forEach(sink => {
+                try {
+                    sink.send(event)
+                } catch (error) {
+                    console.error(`[SmartSearchUI] Analytics sink '${sink.name}' failed:`, error)
+                }
+            })
+        }
 
-            option.appendChild(checkbox)
-            option.appendChild(label)
-            optionsContainer.appendChild(option)
-        })
+        return event
+    }
 
-        facetGroup.appendChild(optionsContainer)
-        this.facetContainer.appendChild(facetGroup)
+    /**
+     * Get the listener set of an event type
+     * @throws {Error} for unknown event types
+     */
+    _getEventListeners(type) {
+        const listeners = this._eventListeners.get(type)
+        if (!listeners) {
+            throw new Error(`SmartSearchUI: Unknown event type '${type}'`)
+        }
+        return listeners
     }
 
     /**
-     * Filter by facets and date
+     * Add an analytics sink
+     * Built-in sinks:
+     * - 'console': logs every event
+     * - 'memory' / { type: 'memory', limit }: keeps events in sink.events (e.g. for tests)
+     * - { type: 'beacon', endpoint, batchSize, flushInterval }: POSTs batches with navigator.sendBeacon
+     * Custom sinks are a function (event) or an object with send(event) and optional flush() and dispose().
+     * @param {string|Object|Function} definition - Sink definition
+     * @returns {Object} The sink ({ name, send(event), flush() })
      */
-    async filter(facet, reset = false) {
-        let values = Array.from(document.querySelectorAll('.facet-option input[type="checkbox"]'))
-            .filter(element => element.checked)
-            .map(element => element.name)
+    addAnalyticsSink(definition) {
+        const sink = this._createAnalyticsSink(definition)
+        this.analyticsSinks.push(sink)
+        return sink
+    }
 
-        try {
-            if (reset) {
-                values = []
-            }
+    /**
+     * Remove an analytics sink (pending beacon batches are sent first)
+     * dispose() releases what the sink holds on to, e.g. the page listeners of the beacon sink.
+     * @param {Object} sink - Sink returned by addAnalyticsSink()
+     */
+    removeAnalyticsSink(sink) {
+        const index = this.analyticsSinks.indexOf(sink)
+        if (index === -1) return
 
-            // Handle date filter
-            if (this.config.dateFilter.enabled) {
-                const startDateValue = document.getElementById("start-date")?.value
-                const endDateValue = document.getElementById("end-date")?.value
+        if (sink.flush) sink.flush()
+        if (sink.dispose) sink.dispose()
+        this.analyticsSinks.splice(index, 1)
+    }
 
-                if (startDateValue || endDateValue) {
-                    const startISO = startDateValue ? new Date(startDateValue + 'T00:00:00Z').toISOString() : '*'
-                    const endISO = endDateValue ? new Date(endDateValue + 'T23:59:59Z').toISOString() : '*'
-                    const dateFilterQuery = `${this.config.dateFilter.fieldName}:[${startISO} TO ${endISO}]`
+    /**
+     * Send pending batches of all sinks now
+     */
+    flushAnalytics() {
+        this.analyticsSinks.forEach(sink => {
+            if (sink.flush) sink.flush()
+        })
+    }
 
-                    this.fsss.setCustomParams({ [this.config.dateFilter.solrFilterParam]: dateFilterQuery })
-                }
-                // NOTE: Don't delete custom params here - preset filters may have set them
-                // Only delete when explicitly reset via reset buttons
-            }
+    /**
+     * Build a sink object from a sink definition
+     */
+    _createAnalyticsSink(definition) {
+        if (typeof definition === 'function') {
+            return { name: definition.name || 'custom', send: definition }
+        }
 
-            let page = await facet.filter(...values)
+        const options = typeof definition === 'string' ? { type: definition } : (definition || {})
 
-            this.initFacetContainer(page)
-            this.renderAllFacets(page)
-            this.renderSearchResults(page)
-            this.updateResultsInfo(page, new URLSearchParams(window.location.search).get("query"))
+        if (typeof options.send === 'function') {
+            options.name = options.name || 'custom'
+            return options
+        }
 
-            if (this.config.features.smoothScrolling) {
-                window.scrollTo({ top: 0, behavior: 'smooth' })
+        switch (options.type) {
+            case 'console':
+                return {
+                    name: 'console',
+                    send: (event) => console.log('[SmartSearch Analytics]', event.type, event)
+                }
+
+            case 'memory': {
+                const limit = options.limit || 1000
+                const sink = {
+                    name: 'memory',
+                    events: [],
+                    send: (event) => {
+                        sink.events.push(event)
+                        if (sink.events.length > limit) sink.events.shift()
+                    },
+                    clear: () => {
+                        sink.events = []
+                    }
+                }
+                return sink
             }
-        } catch (error) {
-            console.error('Filter error:', error)
+
+            case 'beacon':
+                return this._createBeaconSink(options)
+
+            default:
+                throw new Error(`SmartSearchUI: Unknown analytics sink '${options.type}'`)
         }
     }
 
     /**
-     * Render search results
+     * Sink that collects events and POSTs them as JSON batches ({ events: [...] })
+     * Batches are sent when batchSize is reached, after flushInterval ms and when the page is hidden.
+     * Falls back to a keepalive fetch where sendBeacon is missing or refuses the payload.
      */
-    renderSearchResults(page) {
-        const paginationWrapper = document.getElementById("pagination")
-        const searchResultWrapper = document.getElementById("search-results")
-
-        if (!paginationWrapper || !searchResultWrapper) return
-
-        // Before render hook
-        if (this.config.hooks.beforeRender) {
-            page = this.config.hooks.beforeRender(page)
+    _createBeaconSink({ endpoint, batchSize = 10, flushInterval = 5000 }) {
+        let queue = []
+        let timer = null
+
+        const flush = () => {
+            clearTimeout(timer)
+            timer = null
+            if (queue.length === 0) return
+
+            const body = JSON.stringify({ events: queue })
+            queue = []
+
+            const sent = navigator.sendBeacon &&
+                navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))
+
+            if (!sent) {
+                fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(error => console.error('[SmartSearchUI] Analytics beacon failed:', error))
+            }
         }
 
-        paginationWrapper.innerHTML = ""
-        searchResultWrapper.innerHTML = ""
-
-        const hasResults = page.searchResults && page.searchResults.length > 0
-        const totalResults = (page.responseData && page.responseData.numRows) ||
-                             page.numRows || page.totalHits || page.totalResults || page.total || 0
-
-        if (!hasResults || totalResults === 0) {
-            searchResultWrapper.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">🔍</div>
-                    <div class="empty-state-text">No results found</div>
-                    <p style="margin-top: 1rem; color: var(--text-tertiary); font-size: 0.95rem;">
-                        Try different keywords or remove some filters
-                    </p>
-                </div>
-            `
-            return
+        // Last chance to send before the page goes away
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') flush()
         }
-
-        // Use custom template if provided
-        if (this.config.resultTemplate) {
-            this._renderWithCustomTemplate(page, searchResultWrapper)
-        } else {
-            this._renderDefaultCards(page, searchResultWrapper)
+        document.addEventListener('visibilitychange', onVisibilityChange)
+        window.addEventListener('pagehide', flush)
+
+        return {
+            name: 'beacon',
+            send: (event) => {
+                queue.push(event)
+                if (queue.length >= batchSize) {
+                    flush()
+                } else if (!timer) {
+                    timer = setTimeout(flush, flushInterval)
+                }
+            },
+            flush,
+            dispose: () => {
+                document.removeEventListener('visibilitychange', onVisibilityChange)
+                window.removeEventListener('pagehide', flush)
+            }
         }
+    }
 
-        // Render pagination
-        const pageRenderer = this.fsss.getPageRenderer(page)
-        pageRenderer.renderPaginationToHTMLElement(paginationWrapper, this.config.ui.maxPaginationButtons)
-        this.linkPagination(page)
+    /**
+     * Emit the search event (and zeroResults) for a new query
+     * @param {Object} page - First result page of the query
+     * @param {string} source - 'submit' (search form), 'url' (page load) or 'saved' (saved search)
+     */
+    _trackSearch(page, source) {
+        const total = this._getTotalResults(page)
 
-        // Handle "Did You Mean"
-        if (this.config.features.didYouMean) {
-            this.handleDidYouMean(page, pageRenderer)
+        this.emit('search', { total, source })
+        if (total === 0) {
+            this.emit('zeroResults', { source })
         }
+    }
 
-        // After render hook
-        if (this.config.hooks.afterRender) {
-            this.config.hooks.afterRender(page)
-        }
+    /**
+     * Emit the filterChange event for a page with a changed filter selection
+     * @param {Object} page - Filtered result page
+     * @param {Object} change - { facet, values } of the facet that changed (facet null otherwise)
+     */
+    _trackFilterChange(page, change = {}) {
+        this.emit('filterChange', {
+            facet: change.facet || null,
+            values: change.values || [],
+            filters: this.getActiveFilters(page).map(({ type, name, value }) => ({ type, name, value })),
+            total: this._getTotalResults(page)
+        })
     }
 
     /**
-     * Render results with custom template
+     * Remember result, rank and page of freshly rendered cards for click tracking
+     * @param {Object} page - Result page the cards were rendered from
+     * @param {Array<HTMLElement>} cards - The rendered cards, in result order
      */
-    _renderWithCustomTemplate(page, container) {
+    _trackResultCards(page, cards) {
         const results = page.searchResults || []
+        const pageNumber = this._getPageNumber(page)
+        const pageSize = (page.paginationParams && page.paginationParams.pageSize) || results.length
+        const offset = (pageNumber - 1) * pageSize
+
+        cards.forEach((card, index) => {
+            if (!results[index]) return
+
+            this._resultCards.set(card, {
+                result: results[index].result,
+                rank: offset + index + 1,
+                position: index + 1,
+                page: pageNumber
+            })
+        })
+    }
+
+    /**
+     * Track result, "did you mean" and autocomplete clicks
+     * Delegated, so custom templates and theme cards are covered without extra wiring.
+     */
+    _initAnalyticsTracking() {
+        const searchResults = document.getElementById("search-results")
+        if (searchResults) {
+            const onResultClick = (event) => {
+                // Middle clicks open the result too
+                if (event.type === 'auxclick' && event.button !== 1) return
+
+                const link = event.target.closest('a[href]')
+                const card = link && link.closest('[data-result-card]')
+                const entry = card && this._resultCards.get(card)
+                if (!entry) return
+
+                const { result, rank, position, page } = entry
+
+                if (this.config.hooks.onResultClick) {
+                    this.config.hooks.onResultClick(result, { rank, position, page })
+                }
+
+                this.emit('resultClick', {
+                    rank,
+                    position,
+                    page,
+                    link: this.getField(result, 'link'),
+                    title: this.getField(result, 'title')
+                })
+            }
+
+            searchResults.addEventListener('click', onResultClick)
+            searchResults.addEventListener('auxclick', onResultClick)
+        }
+
+        // The bundle renders suggestions as plain elements, make them start a search
+        const didYouMean = document.getElementById("did-you-mean")
+        if (didYouMean) {
+            didYouMean.addEventListener('click', (event) => {
+                const element = event.target.closest('.smart-search-did-you-mean-element')
+                if (!element) return
+
+                const suggestion = element.textContent.trim()
+                this.emit('didYouMeanClick', { suggestion })
+
+                if (this.searchbar) {
+                    this.searchbar.value = suggestion
+                }
+                this.submitSearch(suggestion)
+            })
+        }
+
+        // Capture phase: runs before the widget replaces the input value with the suggestion
+        if (this.searchbar && this.searchbar.parentNode) {
+            this.searchbar.parentNode.addEventListener('click', (event) => {
+                const item = event.target.closest('.smart-search-autocomplete-item')
+                if (!item) return
+
+                const items = Array.from(item.parentNode.querySelectorAll('.smart-search-autocomplete-item'))
+
+                this.emit('autocompleteSelect', {
+                    input: this.searchbar.value,
+                    suggestion: item.textContent.trim(),
+                    position: items.indexOf(item) + 1
+                })
+            }, true)
+        }
+    }
+
+    /**
+     * Create the persistent event store of the analytics dashboard
+     * Uses IndexedDB where available, localStorage otherwise. Events older than
+     * retentionDays and all but the newest maxEvents events are dropped.
+     * @returns {Object} { add(event), getAll(), clear() }, all returning promises
+     */
+    _createAnalyticsStore({ storage, storageKey, retentionDays, maxEvents }) {
+        const isCurrent = (event) => Date.parse(event.timestamp) >= Date.now() - retentionDays * 86400000
+
+        if (storage === 'indexedDB' && window.indexedDB) {
+            let database = null
+
+            const open = () => {
+                database = database || new Promise((resolve, reject) => {
+                    const request = indexedDB.open(storageKey, 1)
+                    request.onupgradeneeded = () => request.result.createObjectStore('events', { autoIncrement: true })
+                    request.onsuccess = () => resolve(request.result)
+                    request.onerror = () => reject(request.error)
+                })
+                return database
+            }
+
+            // Run an action in a transaction and resolve with its request result once committed
+            const run = (mode, action) => open().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction('events', mode)
+                const request = action(transaction.objectStore('events'))
+                transaction.oncomplete = () => resolve(request ? request.result : undefined)
+                transaction.onerror = () => reject(transaction.error)
+            }))
+
+            // Delete expired events and the oldest ones beyond maxEvents (keys are in insertion order)
+            const prune = (store) => {
+                const count = store.count()
+                count.onsuccess = () => {
+                    let excess = count.result - maxEvents
+
+                    store.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result
+                        if (!cursor || (excess <= 0 && isCurrent(cursor.value))) return
+
+                        cursor.delete()
+                        excess--
+                        cursor.continue()
+                    }
+                }
+            }
+
+            return {
+                add: (event) => run('readwrite', store => {
+                    store.add(event)
+                    prune(store)
+                }),
+                getAll: async () => {
+                    const events = await run('readonly', store => store.getAll())
+                    return events.filter(isCurrent).slice(-maxEvents)
+                },
+                clear: () => run('readwrite', store => store.clear())
+            }
+        }
+
+        const read = () => {
+            try {
+                return JSON.parse(localStorage.getItem(storageKey)) || []
+            } catch (error) {
+                return []
+            }
+        }
+
+        const write = (events) => {
+            try {
+                localStorage.setItem(storageKey, JSON.stringify(events))
+            } catch (error) {
+                console.warn('[SmartSearchUI] Could not store analytics:', error)
+            }
+        }
+
+        return {
+            add: async (event) => write([...read().filter(isCurrent), event].slice(-maxEvents)),
+            getAll: async () => read().filter(isCurrent).slice(-maxEvents),
+            clear: async () => localStorage.removeItem(storageKey)
+        }
+    }
+
+    /**
+     * Store the fields of an analytics event the dashboard needs
+     */
+    _recordAnalyticsEvent(event) {
+        const record = { type: event.type, timestamp: event.timestamp, query: event.query }
+
+        if (event.type === 'search') {
+            record.total = event.total
+        } else if (event.type === 'resultClick') {
+            record.rank = event.rank
+            record.link = event.link
+        } else if (event.type === 'filterChange') {
+            // Only facet selections count as facet use
+            if (!event.facet || event.values.length === 0) return
+            record.facet = event.facet
+            record.values = event.values
+        }
+
+        this.analyticsStore.add(record).catch(error => {
+            console.warn('[SmartSearchUI] Could not store analytics:', error)
+        })
+    }
+
+    /**
+     * Aggregate the stored events for the dashboard
+     * @returns {Promise<Object>} { totals, topQueries, zeroResultQueries, clickThroughByRank, topFacets, events }
+     */
+    async getAnalyticsReport() {
+        const { topLimit, maxRank } = this.config.analytics.dashboard
+        const events = this.analyticsStore ? await this.analyticsStore.getAll() : []
+
+        const searches = events.filter(event => event.type === 'search' && event.query)
+        const clicks = events.filter(event => event.type === 'resultClick')
+        const searchesWithResults = searches.filter(event => event.total > 0).length
+
+        // Group queries case-insensitively, show the first spelling
+        const queries = new Map()
+        searches.forEach(event => {
+            const key = event.query.trim().toLowerCase()
+            const entry = queries.get(key) || { query: event.query.trim(), count: 0, zeroResults: 0, totalResults: 0, lastSearched: null }
+            entry.count++
+            entry.totalResults += event.total || 0
+            if (!event.total) entry.zeroResults++
+            entry.lastSearched = event.timestamp
+            queries.set(key, entry)
+        })
+
+        const byCount = (a, b) => b.count - a.count
+
+        const topQueries = Array.from(queries.values())
+            .sort(byCount)
+            .slice(0, topLimit)
+            .map(({ query, count, totalResults }) => ({ query, count, averageResults: Math.round(totalResults / count) }))
+
+        const zeroResultQueries = Array.from(queries.values())
+            .filter(entry => entry.zeroResults > 0)
+            .map(({ query, zeroResults, lastSearched }) => ({ query, count: zeroResults, lastSearched }))
+            .sort(byCount)
+            .slice(0, topLimit)
+
+        const clickThroughByRank = []
+        for (let rank = 1; rank <= maxRank; rank++) {
+            const rankClicks = clicks.filter(event => event.rank === rank).length
+            clickThroughByRank.push({
+                rank,
+                clicks: rankClicks,
+                rate: searchesWithResults ? rankClicks / searchesWithResults : 0
+            })
+        }
+
+        const facets = new Map()
+        events.filter(event => event.type === 'filterChange').forEach(event => {
+            const entry = facets.get(event.facet) || { facet: event.facet, count: 0, values: new Map() }
+            entry.count++
+            event.values.forEach(value => entry.values.set(value, (entry.values.get(value) || 0) + 1))
+            facets.set(event.facet, entry)
+        })
+
+        const topFacets = Array.from(facets.values())
+            .sort(byCount)
+            .slice(0, topLimit)
+            .map(({ facet, count, values }) => ({
+                facet,
+                count,
+                topValues: Array.from(values, ([value, count]) => ({ value, count })).sort(byCount).slice(0, 3)
+            }))
+
+        return {
+            totals: {
+                searches: searches.length,
+                zeroResultSearches: searches.length - searchesWithResults,
+                clicks: clicks.length,
+                clickThroughRate: searchesWithResults ? clicks.length / searchesWithResults : 0
+            },
+            topQueries,
+            zeroResultQueries,
+            clickThroughByRank,
+            topFacets,
+            events
+        }
+    }
+
+    /**
+     * Download the recorded analytics
+     * @param {string} format - 'csv' (one row per event) or 'json' (report and events)
+     */
+    async exportAnalytics(format = 'csv') {
+        const report = await this.getAnalyticsReport()
+        const date = new Date().toISOString().slice(0, 10)
+
+        if (format === 'json') {
+            const { events, ...summary } = report
+            const json = JSON.stringify({ exportedAt: new Date().toISOString(), ...summary, events }, null, 2)
+            this._downloadFile(`search-analytics-${date}.json`, json, 'application/json')
+            return
+        }
+
+        const columns = ['timestamp', 'type', 'query', 'total', 'rank', 'link', 'facet', 'values']
+        const rows = report.events.map(event => columns.map(column => {
+            const value = event[column]
+            return Array.isArray(value) ? value.join('|') : value
+        }))
+
+        this._downloadFile(`search-analytics-${date}.csv`, this._toCSV([columns, ...rows]), 'text/csv')
+    }
+
+    /**
+     * Build CSV text from rows of values (RFC 4180 quoting)
+     * @param {Array<Array>} rows - Rows, the first one usually the header
+     * @param {string} delimiter - Cell separator, e.g. '\t' for the clipboard
+     * @returns {string}
+     */
+    _toCSV(rows, delimiter = ',') {
+        const cell = (value) => {
+            const text = value === undefined || value === null ? '' : String(value)
+            return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text
+        }
+        return rows.map(row => row.map(cell).join(delimiter)).join('\r\n')
+    }
+
+    /**
+     * Let the browser download generated content as a file
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File content
+     * @param {string} type - MIME type
+     */
+    _downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }))
+
+        const link = document.createElement('a')
+        link.href = url
+        link.download = filename
+        link.style.display = 'none'
+        document.body.appendChild(link)
+        link.click()
+        link.remove()
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000)
+    }
+
+    /**
+     * Download all results of the current search (query, facets and filters)
+     * Pages through the results with the bundle's next() up to config.export.maxResults.
+     * @param {string} format - 'csv' or 'json'
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with (count, total) after every page
+     * @returns {Promise<Object|null>} { count, total, cancelled }, null without a search
+     */
+    async exportResults(format = 'csv', { onProgress } = {}) {
+        if (!this.currentPage || this._exportRun) return null
+
+        const { maxResults, pageSize, filename } = this.config.export
+        const total = Math.min(this._getTotalResults(this.currentPage), maxResults)
+        const run = { cancelled: false }
+        const results = []
+
+        this._exportRun = run
+
+        // Page through an own instance seeded with the current filter, facet and custom params,
+        // so searching and paging in the UI meanwhile neither disturbs the export nor is disturbed by it
+        const exporter = new this.fsss.constructor(this.fsss.host, this.fsss.preparedSearch, this.fsss.options)
+        exporter.searchClient.parameterList = this.fsss.searchClient.parameterList
+        exporter.customParameterList = this.fsss.customParameterList
+        exporter.deleteCustomParams('haupia_pageNumber', 'haupia_start', 'haupia_pageSize')
+
+        try {
+            let page = await exporter.search(
+                this.currentQuery,
+                { haupia_pageNumber: '0' },
+                { haupia_pageSize: String(pageSize) }
+            )
+
+            while (!run.cancelled) {
+                results.push(...(page.searchResults || []).map(wrapper => wrapper.result))
+                if (onProgress) onProgress(Math.min(results.length, total), total)
+
+                if (results.length >= total || !page.hasNext()) break
+                page = await page.next()
+            }
+        } finally {
+            this._exportRun = null
+        }
+
+        if (run.cancelled) {
+            return { count: 0, total, cancelled: true }
+        }
+
+        const rows = results.slice(0, total).map(result => this._getExportRecord(result))
+        const name = `${filename}-${new Date().toISOString().slice(0, 10)}`
+
+        if (format === 'json') {
+            const json = JSON.stringify({
+                exportedAt: new Date().toISOString(),
+                query: this.currentQuery,
+                filters: this.getActiveFilters().map(({ type, name, value }) => ({ type, name, value })),
+                total: this._getTotalResults(this.currentPage),
+                results: rows
+            }, null, 2)
+            this._downloadFile(`${name}.json`, json, 'application/json')
+        } else {
+            this._downloadFile(`${name}.csv`, this._toCSV(this._getExportTable(rows)), 'text/csv')
+        }
+
+        return { count: rows.length, total, cancelled: false }
+    }
+
+    /**
+     * Stop a running exportResults(), nothing is downloaded
+     */
+    cancelExport() {
+        if (this._exportRun) {
+            this._exportRun.cancelled = true
+        }
+    }
+
+    /**
+     * Copy the results of the current page to the clipboard (tab-separated, pastes into spreadsheets)
+     * @returns {Promise<number>} Number of copied results
+     */
+    async copyResultsToClipboard() {
+        if (!this.currentPage) return 0
+
+        const rows = (this.currentPage.searchResults || []).map(wrapper => this._getExportRecord(wrapper.result))
+        await navigator.clipboard.writeText(this._toCSV(this._getExportTable(rows), '\t'))
+
+        return rows.length
+    }
+
+    /**
+     * Map a result to the export columns: the configured resultFields plus raw extra fields
+     */
+    _getExportRecord(result) {
+        const record = {}
+
+        this.config.export.fields.forEach(field => {
+            record[field] = this.getField(result, field)
+        })
+        this.config.export.extraFields.forEach(field => {
+            record[field] = result[field] === undefined ? null : result[field]
+        })
+
+        return record
+    }
+
+    /**
+     * Turn export records into a header row and value rows (arrays joined with '|')
+     */
+    _getExportTable(records) {
+        const columns = [...this.config.export.fields, ...this.config.export.extraFields]
+        const rows = records.map(record => columns.map(column => {
+            const value = record[column]
+            return Array.isArray(value) ? value.join('|') : value
+        }))
+
+        return [columns, ...rows]
+    }
+
+    /**
+     * Find a message of the active locale
+     * Looks up config.i18n.messages, then the current theme's messages, then the fallback locale.
+     * @param {string} key - Message key
+     * @returns {string|Object|undefined} Message, undefined if no catalog has the key
+     */
+    _findMessage(key) {
+        const { messages, fallbackLocale } = this.config.i18n
+        const themeMessages = this.currentTheme?.messages || {}
+
+        const candidates = [
+            messages[this.locale],
+            themeMessages[this.locale],
+            messages[fallbackLocale],
+            themeMessages[fallbackLocale]
+        ]
+
+        const catalog = candidates.find(candidate => candidate && candidate[key] !== undefined)
+        return catalog ? catalog[key] : undefined
+    }
+
+    /**
+     * Translate a message of the active locale
+     * Unknown keys are returned as they are.
+     * Messages are trusted HTML: escape user values before passing them as params.
+     * @param {string} key - Message key, e.g. 'results.none'
+     * @param {Object} params - Placeholder values; 'count' also selects the plural form
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        let message = this._findMessage(key) ?? key
+
+        // Plural forms
+        if (message && typeof message === 'object') {
+            const count = Number(params.count)
+            let form = 'other'
+            if (count === 0 && message.zero !== undefined) {
+                form = 'zero'
+            } else if (!Number.isNaN(count)) {
+                if (!this._pluralRules.has(this.locale)) {
+                    this._pluralRules.set(this.locale, new Intl.PluralRules(this.locale))
+                }
+                form = this._pluralRules.get(this.locale).select(count)
+            }
+            message = message[form] !== undefined ? message[form] : message.other
+        }
+
+        return String(message ?? key).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            return params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+        })
+    }
+
+    /**
+     * Translate a config label through its message key
+     * The label is shown as configured when no catalog has the key; it is plain text, not a key.
+     * @param {string} key - Message key, e.g. 'sort.newest'
+     * @param {string} label - Configured label
+     * @returns {string}
+     */
+    _translateLabel(key, label) {
+        return this._findMessage(key) !== undefined ? this.t(key) : String(label)
+    }
+
+    /**
+     * Get the translated display name of a facet (message 'facet.name.<facet>', then config.facets.displayNames)
+     * @param {string} name - Facet name
+     * @param {string} fallback - Name shown without a message or display name
+     * @returns {string}
+     */
+    getFacetDisplayName(name, fallback = name) {
+        return this._translateLabel(`facet.name.${name}`, this.config.facets.displayNames[name] || fallback)
+    }
+
+    /**
+     * Switch the UI locale and re-render
+     * Also switches the date locale and the autocomplete language.
+     * @param {string} locale - Locale id from config.i18n.locales
+     */
+    setLocale(locale) {
+        if (!this.config.i18n.locales[locale]) {
+            console.warn(`[SmartSearchUI] Locale '${locale}' not configured`)
+            return
+        }
+
+        this.locale = locale
+        localStorage.setItem(this.config.i18n.localStorageKey, locale)
+
+        this._applyLocale()
+        this._translateStaticText()
+
+        // Selector labels are rendered once, rebuild them
+        const controls = document.getElementById("results-controls")
+        if (controls) {
+            controls.innerHTML = ''
+            this._initSortSelector()
+            this._initPageSizeSelector()
+            this._initSaveSearchButton()
+            this._initExportControl()
+        }
+
+        if (this.currentPage) {
+            this._renderPage(this.currentPage)
+        } else if (!this.currentQuery) {
+            this.showEmptyState()
+        }
+    }
+
+    /**
+     * Apply the active locale to the date format, the autocomplete language and the document
+     */
+    _applyLocale() {
+        const localeConfig = this.config.i18n.locales[this.locale] || {}
+
+        this.config.resultFields.date.locale = localeConfig.dateLocale || this.locale
+
+        const autocompleteWidget = this.fsss.autocompleteWidget
+        if (autocompleteWidget) {
+            autocompleteWidget.options = {
+                ...(autocompleteWidget.options || {}),
+                language: localeConfig.autocompleteLanguage || this.locale
+            }
+        }
+
+        if (document.documentElement) {
+            document.documentElement.lang = this.locale
+        }
+    }
+
+    /**
+     * Translate static page markup
+     * data-i18n sets the text, data-i18n-placeholder / -aria-label / -title set the attribute.
+     */
+    _translateStaticText() {
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n)
+        })
+
+        const attributes = { i18nPlaceholder: 'placeholder', i18nAriaLabel: 'aria-label', i18nTitle: 'title' }
+        Object.entries(attributes).forEach(([dataKey, attribute]) => {
+            const selector = `[data-${dataKey.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase())}]`
+            document.querySelectorAll(selector).forEach(element => {
+                element.setAttribute(attribute, this.t(element.dataset[dataKey]))
+            })
+        })
+    }
+
+    /**
+     * Get field value from result with fallback logic
+     * The 'link' field is passed through sanitizeURL()
+     */
+    getField(result, fieldName) {
+        const value = this._getRawField(result, fieldName)
+
+        if (fieldName === 'link') {
+            return this.sanitizeURL(value, this.config.resultFields.link.fallback)
+        }
+
+        return value
+    }
+
+    /**
+     * Resolve a configured result field without sanitizing
+     */
+    _getRawField(result, fieldName) {
+        const fieldConfig = this.config.resultFields[fieldName]
+        if (!fieldConfig) return null
+
+        // Handle single field
+        if (fieldConfig.field) {
+            const value = result[fieldConfig.field]
+            if (value) {
+                return Array.isArray(value) ? value[0] : value
+            }
+            return fieldConfig.fallback || null
+        }
+
+        // Handle multiple fields (priority order)
+        if (fieldConfig.fields) {
+            for (const field of fieldConfig.fields) {
+                const value = result[field]
+                if (value) {
+                    return Array.isArray(value) ? value[0] : value
+                }
+            }
+            return fieldConfig.fallback || null
+        }
+
+        return null
+    }
+
+    /**
+     * Escape a value for use in HTML text or attribute values
+     * @param {*} value - Value to escape (null/undefined become '')
+     * @returns {string}
+     */
+    escapeHTML(value) {
+        if (value === null || value === undefined) return ''
+
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+    }
+
+    /**
+     * Sanitize a highlight snippet
+     * Escapes everything except the plain highlight tags in config.sanitize.highlightTags
+     * @param {string} html - Highlight snippet from Solr
+     * @returns {string} Safe HTML
+     */
+    sanitizeHighlight(html) {
+        const tags = this.config.sanitize.highlightTags
+        if (!tags || tags.length === 0) return this.escapeHTML(html)
+
+        const tagPattern = new RegExp(`&lt;(/?)(${tags.join('|')})&gt;`, 'gi')
+        return this.escapeHTML(html).replace(tagPattern, '<$1$2>')
+    }
+
+    /**
+     * Sanitize a link URL
+     * Only relative URLs and the protocols in config.sanitize.linkProtocols are allowed
+     * @param {string} url - URL to check
+     * @param {string} fallback - Returned for empty or disallowed URLs
+     * @returns {string} The URL (unescaped) or the fallback
+     */
+    sanitizeURL(url, fallback = '#') {
+        if (!url) return fallback
+
+        const value = String(url).trim()
+
+        // Browsers ignore control characters and whitespace inside the scheme
+        const schemeMatch = value.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*):/i)
+        if (!schemeMatch) return value
+
+        const protocol = `${schemeMatch[1].toLowerCase()}:`
+        return this.config.sanitize.linkProtocols.includes(protocol) ? value : fallback
+    }
+
+    /**
+     * Get the result description as safe HTML
+     * Uses the highlight snippet if enabled and available, otherwise the escaped description field
+     */
+    getDescriptionHTML(result, highlights) {
+        if (this.config.resultFields.description.useHighlighting &&
+            highlights && highlights.content && highlights.content[0]) {
+            return this.sanitizeHighlight(highlights.content[0])
+        }
+
+        return this.escapeHTML(this.getField(result, 'description'))
+    }
+
+    /**
+     * Format date from result
+     */
+    formatDate(result) {
+        const dateConfig = this.config.resultFields.date
+        const dateValue = result[dateConfig.field]
+
+        if (!dateValue) return dateConfig.fallback
+
+        try {
+            return new Date(dateValue).toLocaleDateString(
+                dateConfig.locale,
+                dateConfig.format
+            )
+        } catch (e) {
+            console.error('Date parsing error:', e)
+            return dateConfig.fallback
+        }
+    }
+
+    /**
+     * Calculate date range for preset filter
+     * @param {number} days - Number of days to go back from now
+     * @returns {Object} Object with startISO and endISO strings
+     */
+    _calculatePresetDateRange(days) {
+        const now = new Date()
+        const startDate = new Date(now)
+        startDate.setDate(now.getDate() - days)
+
+        // Set to start of day (00:00:00)
+        startDate.setHours(0, 0, 0, 0)
+
+        // Set end to now (current time)
+        const startISO = startDate.toISOString()
+        const endISO = now.toISOString()
+
+        return { startISO, endISO }
+    }
+
+    /**
+     * Add or replace a named filter query
+     * Every registered filter is sent as its own parameter, so filters combine instead of overwriting each other.
+     * Takes effect with the next request (e.g. filter()).
+     * @param {string} name - Registry name (e.g. 'date', 'size')
+     * @param {string|null} query - Solr filter query; empty removes the filter
+     * @param {string} param - Request parameter name (defaults to filterQueries.param)
+     */
+    setFilterQuery(name, query, param = this.config.filterQueries.param) {
+        if (!query) {
+            this.removeFilterQuery(name)
+            return
+        }
+
+        this.filterQueries.set(name, { param, query })
+        this._applyCustomParams()
+    }
+
+    /**
+     * Remove a single named filter query
+     * @param {string} name - Registry name
+     */
+    removeFilterQuery(name) {
+        if (this.filterQueries.delete(name)) {
+            this._applyCustomParams()
+        }
+    }
+
+    /**
+     * Remove all filter queries except the static ones from config.filterQueries.static
+     */
+    clearFilterQueries() {
+        const staticNames = Object.keys(this.config.filterQueries.static)
+
+        Array.from(this.filterQueries.keys())
+            .filter(name => !staticNames.includes(name))
+            .forEach(name => this.filterQueries.delete(name))
+
+        this._applyCustomParams()
+    }
+
+    /**
+     * Get the registered filter queries
+     * @returns {Object} Map of name to Solr filter query
+     */
+    getFilterQueries() {
+        const queries = {}
+        this.filterQueries.forEach((entry, name) => {
+            queries[name] = entry.query
+        })
+        return queries
+    }
+
+    /**
+     * Set or remove (null) a request parameter that is sent with every request
+     */
+    _setRequestParam(name, value) {
+        if (value === null || value === undefined) {
+            this.requestParams.delete(name)
+        } else {
+            this.requestParams.set(name, String(value))
+        }
+        this._applyCustomParams()
+    }
+
+    /**
+     * Merge all registered filter queries and request params into the request parameters
+     */
+    _applyCustomParams() {
+        const params = Array.from(this.filterQueries.values())
+            .map(({ param, query }) => ({ [param]: query }))
+
+        this.requestParams.forEach((value, name) => params.push({ [name]: value }))
+        params.push(...this._getRangeFacetParams())
+
+        // Paging rewrites haupia_pageSize in place. setCustomParams removes the previous custom params
+        // by key and value and would drop the last param instead of a changed one, so remove it by key
+        this.fsss.deleteCustomParams('haupia_pageSize')
+        this.fsss.customParameterList = (this.fsss.customParameterList || [])
+            .filter(param => !('haupia_pageSize' in param))
+
+        this.fsss.setCustomParams(...params)
+    }
+
+    /**
+     * Send a page size through the static pagination params
+     */
+    _applyPageSize(size) {
+        this.pageSize = size
+        this._setRequestParam('haupia_pageSize', size)
+    }
+
+    /**
+     * Change the number of results per page and re-query from the first page
+     * Keeps the current query, facet selection and filters
+     * @param {number} size - Results per page
+     */
+    async setPageSize(size) {
+        size = Number(size)
+        if (!size || size === this.pageSize) return
+
+        this._applyPageSize(size)
+        await this.refresh()
+    }
+
+    /**
+     * Re-run the current search from the first page
+     * Keeps the query, facet selection and all registered filters, e.g. after changing a filter query
+     * @returns {Promise<Object|null>} The new page, null if superseded or failed
+     */
+    async refresh() {
+        if (!this.currentPage) return null
+
+        try {
+            const page = await this._request(() => this.currentPage.search({ pageNumber: 0, pageSize: this.pageSize }))
+            if (!page) return null
+
+            this._renderPage(page)
+            this._writeUrlState(page)
+            return page
+        } catch (error) {
+            console.error('Refresh error:', error)
+            return null
+        }
+    }
+
+    /**
+     * Render the results-per-page selector into the results header
+     */
+    _initPageSizeSelector() {
+        const container = document.getElementById("results-controls")
+        const options = this.config.ui.pageSizeOptions
+        if (!container || !options || options.length === 0) return
+
+        const existing = document.getElementById("page-size-select")
+        if (existing) {
+            existing.value = String(this.pageSize)
+            return
+        }
+
+        // Keep the configured size selectable even if it is not a listed option
+        const sizes = Array.from(new Set([...options, this.pageSize])).sort((a, b) => a - b)
+
+        const wrapper = document.createElement("div")
+        wrapper.className = "results-control page-size-control"
+        wrapper.innerHTML = `
+            <label for="page-size-select" class="results-control-label">${this.t('results.perPage')}</label>
+            <select id="page-size-select" class="results-control-select">
+                ${sizes.map(size => `<option value="${size}">${size}</option>`).join('')}
+            </select>
+        `
+
+        const select = wrapper.querySelector("select")
+        select.value = String(this.pageSize)
+        select.addEventListener("change", () => this.setPageSize(select.value))
+
+        container.appendChild(wrapper)
+    }
+
+    /**
+     * Send a sort expression with every request
+     * Only values of config.sorting.options are accepted, anything else falls back to the server order.
+     * @param {string|null} value - Solr sort expression ('' = server order)
+     */
+    _applySort(value) {
+        const option = this.config.sorting.options.find(option => option.value && option.value === value)
+        this.currentSort = option ? option.value : ''
+        this._setRequestParam(this.config.sorting.param, this.currentSort || null)
+    }
+
+    /**
+     * Get the sort expression selected when nothing else is chosen
+     */
+    _getDefaultSort() {
+        return this.config.sorting.default || ''
+    }
+
+    /**
+     * Change the sort order and re-query from the first page
+     * Keeps the current query, facet selection and filters
+     * @param {string} value - Solr sort expression from config.sorting.options ('' = server order)
+     */
+    async setSort(value) {
+        const previousSort = this.currentSort
+        this._applySort(value)
+        if (this.currentSort === previousSort) return
+
+        await this.refresh()
+    }
+
+    /**
+     * Render the sort selector into the results header
+     */
+    _initSortSelector() {
+        const container = document.getElementById("results-controls")
+        const options = this.config.sorting.options
+        if (!container || !options || options.length === 0) return
+
+        const existing = document.getElementById("sort-select")
+        if (existing) {
+            existing.value = this.currentSort
+            return
+        }
+
+        const wrapper = document.createElement("div")
+        wrapper.className = "results-control sort-control"
+        wrapper.innerHTML = `
+            <label for="sort-select" class="results-control-label">${this.t('results.sortBy')}</label>
+            <select id="sort-select" class="results-control-select">
+                ${options.map(option => `<option value="${this.escapeHTML(option.value || '')}">${this.escapeHTML(this._translateLabel(`sort.${option.id}`, option.label))}</option>`).join('')}
+            </select>
+        `
+
+        const select = wrapper.querySelector("select")
+        select.value = this.currentSort
+        select.addEventListener("change", () => this.setSort(select.value))
+
+        // Sorting comes before the page size
+        container.prepend(wrapper)
+    }
+
+    /**
+     * Show or hide the results header controls
+     */
+    _toggleResultsControls(visible) {
+        const container = document.getElementById("results-controls")
+        if (!container) return
+
+        container.hidden = !visible
+
+        // Page size has no effect on grouped results
+        const pageSizeControl = container.querySelector(".page-size-control")
+        if (pageSizeControl) {
+            pageSizeControl.hidden = this._isGroupedView()
+        }
+    }
+
+    /**
+     * Build a Solr date range query from two date input values (YYYY-MM-DD)
+     * @param {string|null} startDateValue - Start date, open-ended if empty
+     * @param {string|null} endDateValue - End date, open-ended if empty
+     * @returns {string} Solr range query for the configured date field
+     */
+    _buildDateRangeQuery(startDateValue, endDateValue) {
+        const startISO = startDateValue ? new Date(startDateValue + 'T00:00:00Z').toISOString() : '*'
+        const endISO = endDateValue ? new Date(endDateValue + 'T23:59:59Z').toISOString() : '*'
+        return `${this.config.dateFilter.fieldName}:[${startISO} TO ${endISO}]`
+    }
+
+    /**
+     * Apply a preset date filter
+     * @param {number} days - Number of days to filter
+     * @param {string} label - Preset label for logging
+     * @param {HTMLElement} buttonElement - The clicked button element
+     */
+    async _applyDatePreset(days, label, buttonElement) {
+        if (!this.currentPage || !this.currentPage.facets || this.currentPage.facets.length === 0) {
+            console.warn('Cannot apply preset: no current page or facets')
+            return
+        }
+
+        // Calculate date range
+        const { startISO, endISO } = this._calculatePresetDateRange(days)
+
+        // Build Solr date query (same format as manual date filter)
+        const dateFilterQuery = `${this.config.dateFilter.fieldName}:[${startISO} TO ${endISO}]`
+
+        // Register date filter
+        this.setFilterQuery('date', dateFilterQuery, this.config.dateFilter.solrFilterParam)
+
+        // Clear manual date inputs
+        const startDateInput = document.getElementById("start-date")
+        const endDateInput = document.getElementById("end-date")
+        if (startDateInput) startDateInput.value = ''
+        if (endDateInput) endDateInput.value = ''
+
+        // Store active preset (will be reapplied after render)
+        this.activePresetDays = days
+
+        // Trigger filter
+        await this.filter(this.currentPage.facets[0])
+    }
+
+    /**
+     * Remove the date range or preset filter and re-query
+     */
+    async clearDateFilter() {
+        const startDateInput = document.getElementById("start-date")
+        const endDateInput = document.getElementById("end-date")
+        if (startDateInput) startDateInput.value = ''
+        if (endDateInput) endDateInput.value = ''
+
+        this.removeFilterQuery('date')
+
+        // NEW: Clear preset active state
+        this.activePresetDays = null
+
+        await this._refilter()
+    }
+
+    /**
+     * Re-query after a filter query changed
+     * Goes through filter() like the date inputs do, refresh() if there are no facets
+     */
+    async _refilter() {
+        const facet = this.currentPage && this.currentPage.facets && this.currentPage.facets[0]
+
+        if (facet) {
+            await this.filter(facet)
+        } else {
+            await this.refresh()
+        }
+    }
+
+    /**
+     * Update which preset button appears active
+     * @param {HTMLElement|null} activeButton - The button to mark active, or null to clear all
+     */
+    _updatePresetActiveState(activeButton) {
+        const container = document.getElementById('date-presets-container')
+        if (!container) return
+
+        // Remove active class from all buttons
+        const allButtons = container.querySelectorAll('.preset-btn')
+        allButtons.forEach(btn => btn.classList.remove('active'))
+
+        // Add active class to clicked button
+        if (activeButton) {
+            activeButton.classList.add('active')
+        }
+    }
+
+    /**
+     * Initialize facet container
+     */
+    initFacetContainer(page) {
+        this.facetContainer = document.getElementById("facets-container")
+
+        if (!this.facetContainer) {
+            console.warn("Facets container element not found")
+            return
+        }
+
+        this.facetContainer.innerHTML = ""
+
+        // Hook up reset all button
+        const resetAllButton = document.getElementById("reset-all-facets-btn")
+        if (resetAllButton) {
+            resetAllButton.onclick = () => this.resetAllFilters()
+        }
+    }
+
+    /**
+     * Clear all facet selections, the date filter and custom filter queries (static filters stay)
+     */
+    async resetAllFilters() {
+        if (!this.currentPage) return
+
+        // Clear date inputs
+        if (this.config.dateFilter.enabled) {
+            const startDateInput = document.getElementById("start-date")
+            const endDateInput = document.getElementById("end-date")
+            if (startDateInput) startDateInput.value = ''
+            if (endDateInput) endDateInput.value = ''
+
+            // NEW: Clear preset active state
+            this.activePresetDays = null
+        }
+
+        // Remove date and custom filter queries (static filters stay)
+        this.clearFilterQueries()
+        this._resetFacetListState()
+
+        const resetPage = await this._request(() => this.currentPage.resetFacets())
+        if (!resetPage) return
+
+        this.currentPage = resetPage
+        this.initFacetContainer(resetPage)
+        this.renderAllFacets(resetPage)
+        this.renderSearchResults(resetPage)
+        this.updateResultsInfo(resetPage, this.currentQuery)
+        this._writeUrlState(resetPage)
+        this._trackFilterChange(resetPage)
+    }
+
+    /**
+     * Render all facets
+     */
+    renderAllFacets(page) {
+        const { order, hidden, ranges } = this.config.facets
+        const facets = page.facets || []
+        if (facets.length === 0 && ranges.length === 0) return
+
+        // Setup date filter
+        if (this.config.dateFilter.enabled) {
+            this._setupDateFilter(page)
+        }
+
+        const position = (item) => order.includes(item.name) ? order.indexOf(item.name) : order.length
+
+        // Render each facet (configured order first, the rest in server order, range facets last)
+        const items = [
+            ...facets.map(facet => ({ name: facet.name, render: () => this._renderNamedFacet(facet) })),
+            ...ranges.map(range => ({ name: range.name, render: () => this.renderRangeFacet(range, page) }))
+        ]
+
+        items
+            .filter(item => !hidden.includes(item.name))
+            .map((item, index) => ({ item, index }))
+            .sort((a, b) => position(a.item) - position(b.item) || a.index - b.index)
+            .forEach(({ item }) => item.render())
+    }
+
+    /**
+     * Render a facet of the result page with its configured display name
+     */
+    _renderNamedFacet(facet) {
+        const displayName = this.getFacetDisplayName(facet.name, facet.displayName)
+        this.renderFacet(displayName !== facet.displayName ? facet.setDisplayName(displayName) : facet)
+    }
+
+    /**
+     * Get the value list settings of a facet (config.facets.defaults merged with its settings)
+     * @param {string} name - Facet name
+     * @returns {Object}
+     */
+    _getFacetSettings(name) {
+        return { ...this.config.facets.defaults, ...(this.config.facets.settings[name] || {}) }
+    }
+
+    /**
+     * Get the display label of a facet value (message 'facet.value.<facet>.<value>', then config valueLabels)
+     * @param {string} facetName - Facet name
+     * @param {string} value - Facet value
+     * @param {string} fallback - Label shown without a message or value label
+     * @returns {string}
+     */
+    getFacetValueLabel(facetName, value, fallback = value) {
+        const label = this._getFacetSettings(facetName).valueLabels[value]
+        return this._translateLabel(`facet.value.${facetName}.${value}`, label || fallback)
+    }
+
+    /**
+     * Build the normalized view model that the default and theme facet renderers use
+     * Applies the facet's settings: minCount, sort, valueLabels, maxVisible and searchThreshold.
+     * Selected values are always listed and never collapsed; with a search box they come first.
+     * @param {Object} facet - Facet of the result page
+     * @returns {Object} { name, displayName, facet, mode, selectedValues, expanded, hiddenCount,
+     *   searchable, searchTerm, values: [{ value, label, count, selected, overflow }] }
+     */
+    getFacetViewModel(facet) {
+        const settings = this._getFacetSettings(facet.name)
+        const selectedValues = this._getFacetSelection(facet)
+
+        // Excluded values drop out of the counts but must stay selectable
+        const counts = [...(facet.counts || [])]
+        selectedValues
+            .filter(value => !counts.some(count => count.value === value))
+            .forEach(value => counts.push({ value, count: 0 }))
+
+        let values = counts
+            .map(({ value, count }, index) => ({
+                value,
+                label: this.getFacetValueLabel(facet.name, value),
+                count,
+                selected: selectedValues.includes(value),
+                index
+            }))
+            .filter(entry => entry.selected || Number(entry.count) >= settings.minCount)
+
+        const byServer = (a, b) => a.index - b.index
+        if (typeof settings.sort === 'function') {
+            values.sort((a, b) => settings.sort(a, b) || byServer(a, b))
+        } else if (settings.sort === 'count') {
+            values.sort((a, b) => Number(b.count) - Number(a.count) || byServer(a, b))
+        } else if (settings.sort === 'alpha') {
+            values.sort((a, b) => String(a.label).localeCompare(String(b.label), this.locale) || byServer(a, b))
+        } else if (settings.sort === 'custom') {
+            const rank = (entry) => settings.valueOrder.includes(entry.value)
+                ? settings.valueOrder.indexOf(entry.value)
+                : settings.valueOrder.length
+            values.sort((a, b) => rank(a) - rank(b) || byServer(a, b))
+        }
+
+        // Selected values stay pinned above the ones the search box filters (not in trees)
+        const isTree = Boolean(settings.separator)
+        const searchable = !isTree && settings.searchThreshold !== null && values.length > settings.searchThreshold
+        if (searchable) {
+            values = [...values.filter(entry => entry.selected), ...values.filter(entry => !entry.selected)]
+        }
+
+        // Values past maxVisible collapse behind "Show N more"
+        let visible = 0
+        values = values.map(({ index, ...entry }) => {
+            const overflow = !isTree && settings.maxVisible > 0 && !entry.selected && visible >= settings.maxVisible
+            if (!overflow) visible++
+            return { ...entry, overflow }
+        })
+
+        const view = {
+            name: facet.name,
+            displayName: facet.displayName || facet.name,
+            facet,
+            mode: settings.mode,
+            selectedValues,
+            expanded: this._expandedFacets.has(facet.name),
+            hiddenCount: values.filter(entry => entry.overflow).length,
+            searchable,
+            searchTerm: searchable ? (this._facetSearchTerms.get(facet.name) || '') : '',
+            values,
+            tree: null,
+            breadcrumbs: []
+        }
+
+        if (isTree) {
+            Object.assign(view, this._buildFacetTree(view, settings))
+        }
+
+        return view
+    }
+
+    /**
+     * Build the nodes and breadcrumbs of a tree facet from its path values
+     * A node counts the hits of its own value and of all values below it.
+     * @returns {Object} { tree: [{ value, label, count, depth, selected, inPath, expanded, children }],
+     *   breadcrumbs: [{ value, label }] from the top level down to the selected node }
+     */
+    _buildFacetTree(view, settings) {
+        const separator = settings.separator
+        const selected = view.selectedValues[0] || null
+        const root = new Map()
+
+        // Node paths are prefixes of the original value, so e.g. a leading separator is kept
+        const splitPath = (value) => {
+            const parts = []
+            let start = 0
+            while (start <= value.length) {
+                const index = value.indexOf(separator, start)
+                const end = index === -1 ? value.length : index
+                if (end > start) parts.push({ segment: value.slice(start, end), path: value.slice(0, end) })
+                start = end + separator.length
+            }
+            return parts
+        }
+
+        view.values.forEach(entry => {
+            let level = root
+
+            splitPath(String(entry.value)).forEach(({ segment, path }, depth) => {
+                if (!level.has(segment)) {
+                    level.set(segment, { value: path, segment, depth, count: 0, children: new Map() })
+                }
+
+                const node = level.get(segment)
+                node.count += Number(entry.count) || 0
+                level = node.children
+            })
+        })
+
+        const label = (path, segment) => this.getFacetValueLabel(view.name, path, segment)
+        const compare = settings.sort === 'count'
+            ? (a, b) => b.count - a.count
+            : settings.sort === 'alpha' ? (a, b) => a.label.localeCompare(b.label, this.locale) : null
+
+        const toNodes = (level) => {
+            const nodes = Array.from(level.values()).map(({ value, segment, depth, count, children }) => {
+                const inPath = selected !== null && selected.startsWith(value + separator)
+                const key = `${view.name}:${value}`
+
+                return {
+                    value,
+                    label: label(value, segment),
+                    count,
+                    depth,
+                    selected: value === selected,
+                    inPath,
+                    expanded: this._treeNodeState.has(key) ? this._treeNodeState.get(key) : inPath,
+                    children: toNodes(children)
+                }
+            })
+            return compare ? nodes.sort(compare) : nodes
+        }
+
+        const breadcrumbs = selected
+            ? splitPath(selected).map(({ segment, path }) => ({ value: path, label: label(path, segment) }))
+            : []
+
+        return { tree: toNodes(root), breadcrumbs }
+    }
+
+    /**
+     * Whether a facet selects through a filter query ('and' and 'exclude' mode, trees, range facets)
+     */
+    _usesFacetFilterQuery(name) {
+        const { mode, separator } = this._getFacetSettings(name)
+        return mode === 'and' || mode === 'exclude' || Boolean(separator) || Boolean(this._getRangeFacetConfig(name))
+    }
+
+    /**
+     * Get the selected values of a facet, from its filter query in 'and'/'exclude' mode
+     * @param {Object} facet - Facet of the result page
+     * @returns {Array<string>}
+     */
+    _getFacetSelection(facet) {
+        if (this._usesFacetFilterQuery(facet.name)) {
+            const entry = this.filterQueries.get(`facet:${facet.name}`)
+            return entry ? [...entry.values] : []
+        }
+
+        return [...(facet.selectedValues || [])]
+    }
+
+    /**
+     * Register the filter query of a facet in 'and'/'exclude' mode, a tree or a range facet (no values removes it)
+     * The entry keeps facet, mode and values for the URL state and the filter chips.
+     */
+    _setFacetFilterQuery(name, values) {
+        const key = `facet:${name}`
+        const range = this._getRangeFacetConfig(name)
+        if (range) {
+            values = this._normalizeRangeSelection(range, values[0])
+        }
+
+        if (values.length === 0) {
+            this.removeFilterQuery(key)
+            return
+        }
+
+        const { mode, field, separator } = this._getFacetSettings(name)
+        const terms = values.map(value => `"${String(value).replace(/(["\\])/g, '\\$1')}"`)
+        let query
+
+        if (range) {
+            // Tagged, so the facet's own buckets ignore it (see _getRangeFacetParams)
+            const [from, to] = values[0].split('..')
+            query = `{!tag=range-${name}}${range.field}:[${from} TO ${to}${to === '*' ? ']' : '}'}`
+        } else if (separator) {
+            // The node itself or anything below it
+            query = values
+                .map((value, index) => {
+                    const prefix = String(value + separator).replace(/[+\-&|!(){}[\]^"~*?:\\/\s]/g, '\\$&')
+                    return `(${field || name}:${terms[index]} OR ${field || name}:${prefix}*)`
+                })
+                .join(' OR ')
+        } else if (mode === 'exclude') {
+            query = `-${field || name}:(${terms.join(' OR ')})`
+        } else {
+            query = `${field || name}:(${terms.join(' AND ')})`
+        }
+
+        this.filterQueries.set(key, {
+            param: this.config.filterQueries.param,
+            query,
+            facet: name,
+            mode: range ? 'range' : mode,
+            values: [...values]
+        })
+        this._applyCustomParams()
+    }
+
+    /**
+     * Select or deselect one facet value according to the facet's mode and re-query
+     * In 'single' mode and in trees selecting a value replaces the selection.
+     * @param {Object} facet - Facet of the result page
+     * @param {string} value - Facet value
+     */
+    async toggleFacetValue(facet, value) {
+        const selected = this._getFacetSelection(facet)
+        let values
+
+        if (selected.includes(value)) {
+            values = selected.filter(selectedValue => selectedValue !== value)
+        } else {
+            const { mode, separator } = this._getFacetSettings(facet.name)
+            values = mode === 'single' || separator ? [value] : [...selected, value]
+        }
+
+        await this.filter(facet, false, values)
+    }
+
+    /**
+     * Build the default markup of a tree facet: breadcrumbs and nested, collapsible node lists
+     */
+    _createTreeFacetElement(facet, view) {
+        const esc = (value) => this.escapeHTML(value)
+
+        const renderNodes = (nodes, attributes = '') => `
+            <ul class="facet-tree" ${attributes}>
+                ${nodes.map(node => `
+                    <li class="facet-tree-node ${node.selected ? 'facet-tree-selected' : ''} ${node.inPath ? 'facet-tree-in-path' : ''}">
+                        <div class="facet-tree-row">
+                            ${node.children.length > 0 ? `
+                                <button type="button" class="facet-tree-toggle" data-tree-toggle="${esc(node.value)}" aria-expanded="${node.expanded}"
+                                    aria-label="${esc(this.t(node.expanded ? 'facet.collapse' : 'facet.expand', { value: node.label }))}"></button>
+                            ` : '<span class="facet-tree-spacer"></span>'}
+                            <button type="button" class="facet-tree-label" data-tree-value="${esc(node.value)}" aria-pressed="${node.selected}">
+                                <span>${esc(node.label)}</span>
+                                <span class="facet-count">(${esc(node.count)})</span>
+                            </button>
+                        </div>
+                        ${node.children.length > 0 ? renderNodes(node.children, node.expanded ? 'data-tree-children' : 'data-tree-children hidden') : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `
+
+        const breadcrumbs = view.breadcrumbs.length > 0 ? `
+            <nav class="facet-breadcrumbs" aria-label="${esc(this.t('facet.path'))}">
+                <button type="button" data-tree-crumb="">${esc(this.t('facet.all'))}</button>
+                ${view.breadcrumbs.map((crumb, index) => index === view.breadcrumbs.length - 1
+                    ? `<span class="facet-breadcrumb-separator" aria-hidden="true">›</span><span aria-current="location">${esc(crumb.label)}</span>`
+                    : `<span class="facet-breadcrumb-separator" aria-hidden="true">›</span><button type="button" data-tree-crumb="${esc(crumb.value)}">${esc(crumb.label)}</button>`
+                ).join('')}
+            </nav>
+        ` : ''
+
+        return this._htmlToElement(`
+            <div class="facet-group facet-tree-group" role="group" aria-labelledby="facet-title-${esc(facet.name)}">
+                <div class="filter-group-title">
+                    <span id="facet-title-${esc(facet.name)}">${esc(view.displayName)}</span>
+                    <button type="button" class="facet-reset-btn" data-tree-crumb="" aria-label="${esc(this.t('facet.resetLabel', { facet: view.displayName }))}">${esc(this.t('facet.reset'))}</button>
+                </div>
+                ${breadcrumbs}
+                ${renderNodes(view.tree)}
+            </div>
+        `)
+    }
+
+    /**
+     * Wire a rendered tree facet (default or theme markup)
+     * data-tree-value selects a node (again: deselects), data-tree-crumb selects an ancestor
+     * ('' clears the facet), data-tree-toggle expands or collapses the following data-tree-children.
+     */
+    _attachTreeFacetControls(facetElement, facet) {
+        facetElement.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-tree-value], [data-tree-crumb], [data-tree-toggle]')
+            if (!control || !facetElement.contains(control)) return
+            e.preventDefault()
+
+            if (control.dataset.treeToggle !== undefined) {
+                const children = control.closest('li')?.querySelector('[data-tree-children]')
+                const expanded = control.getAttribute('aria-expanded') !== 'true'
+                const label = control.parentElement.querySelector('[data-tree-value] span')?.textContent || ''
+
+                this._treeNodeState.set(`${facet.name}:${control.dataset.treeToggle}`, expanded)
+                control.setAttribute('aria-expanded', String(expanded))
+                control.setAttribute('aria-label', this.t(expanded ? 'facet.collapse' : 'facet.expand', { value: label }))
+                if (children) children.hidden = !expanded
+                return
+            }
+
+            if (control.dataset.treeValue !== undefined) {
+                this.toggleFacetValue(facet, control.dataset.treeValue)
+                return
+            }
+
+            const path = control.dataset.treeCrumb
+            this.filter(facet, !path, path ? [path] : [])
+        })
+    }
+
+    /**
+     * Wire the "Show N more" toggle and the search box of a rendered facet
+     * Renderers put data-facet-value on every value element, data-facet-overflow on the
+     * collapsed ones, and may render a data-facet-more button, a data-facet-search input
+     * and a data-facet-no-match message. Searching shows all matches and skips the toggle.
+     */
+    _attachFacetValueControls(facetElement, view) {
+        const button = facetElement.querySelector('[data-facet-more]')
+        const search = facetElement.querySelector('[data-facet-search]')
+        const noMatch = facetElement.querySelector('[data-facet-no-match]')
+        const entries = new Map(view.values.map(entry => [String(entry.value), entry]))
+
+        const update = () => {
+            const expanded = this._expandedFacets.has(view.name)
+            const term = (this._facetSearchTerms.get(view.name) || '').trim().toLowerCase()
+            let matches = 0
+
+            facetElement.querySelectorAll('[data-facet-value]').forEach(element => {
+                const entry = entries.get(element.dataset.facetValue)
+                if (!entry) return
+
+                const matched = !term || `${entry.label} ${entry.value}`.toLowerCase().includes(term)
+                if (matched && !entry.selected) matches++
+                element.hidden = term
+                    ? !matched && !entry.selected
+                    : entry.overflow && !expanded
+            })
+
+            if (noMatch) noMatch.hidden = !term || matches > 0
+            if (button) {
+                button.hidden = Boolean(term)
+                button.setAttribute('aria-expanded', String(expanded))
+                button.textContent = expanded ? this.t('facet.showLess') : this.t('facet.showMore', { count: view.hiddenCount })
+            }
+        }
+
+        if (button) {
+            button.addEventListener('click', (e) => {
+                e.preventDefault()
+                if (this._expandedFacets.has(view.name)) {
+                    this._expandedFacets.delete(view.name)
+                } else {
+                    this._expandedFacets.add(view.name)
+                }
+                update()
+            })
+        }
+
+        // The term survives re-rendering after a value is (de)selected
+        if (search) {
+            search.value = view.searchTerm
+            search.addEventListener('input', () => {
+                this._facetSearchTerms.set(view.name, search.value)
+                update()
+            })
+            search.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && search.value) {
+                    e.stopPropagation()
+                    search.value = ''
+                    this._facetSearchTerms.delete(view.name)
+                    update()
+                }
+            })
+        }
+
+        update()
+    }
+
+    /**
+     * Get a range facet with the defaults filled in
+     * @param {string} name - Range facet name
+     * @returns {Object|null} Entry of config.facets.ranges, null if there is none
+     */
+    _getRangeFacetConfig(name) {
+        const range = this.config.facets.ranges.find(candidate => candidate.name === name)
+        return range ? { type: 'number', format: null, ...range } : null
+    }
+
+    /**
+     * Solr parameters requesting the buckets of every range facet
+     * Each facet excludes its own filter query (tag range-<name>), so the histogram keeps
+     * the whole distribution while a range is selected.
+     */
+    _getRangeFacetParams() {
+        const ranges = this.config.facets.ranges
+        if (ranges.length === 0) return []
+
+        const params = [{ facet: 'true' }]
+
+        ranges.forEach(({ name, field, boundaries, start, end, gap }) => {
+            const localParams = `{!key=${name} ex=range-${name}}`
+            params.push({ [`f.${field}.facet.mincount`]: '0' })
+
+            if (boundaries) {
+                params.push({ 'facet.interval': `${localParams}${field}` })
+                boundaries.slice(1).forEach((to, index) => {
+                    const close = index === boundaries.length - 2 ? ']' : ')'
+                    params.push({ [`f.${field}.facet.interval.set`]: `[${boundaries[index]},${to}${close}` })
+                })
+            } else {
+                params.push(
+                    { 'facet.range': `${localParams}${field}` },
+                    { [`f.${field}.facet.range.start`]: String(start) },
+                    { [`f.${field}.facet.range.end`]: String(end) },
+                    { [`f.${field}.facet.range.gap`]: String(gap) }
+                )
+            }
+        })
+
+        return params
+    }
+
+    /**
+     * Read the buckets of a range facet from the Solr facet counts of a page
+     * @returns {Array<Object>} { from, to, count } in field order, empty if the response has none
+     */
+    _getRangeBuckets(range, page) {
+        if (!page || !page.responseData) return []
+
+        // Only present if the prepared search passes the Solr section through
+        const facetCounts = page.responseData.facet_counts
+        if (!facetCounts) {
+            if (!this._warnedMissingFacetCounts) {
+                this._warnedMissingFacetCounts = true
+                console.warn('SmartSearchUI: The response has no facet_counts section, range facets are not rendered')
+            }
+            return []
+        }
+
+        // Solr writes named lists as [key, value, key, value, ...], with json.nl=map as objects
+        const toPairs = (list) => Array.isArray(list)
+            ? list.filter((item, index) => index % 2 === 0).map((key, index) => [key, list[index * 2 + 1]])
+            : Object.entries(list || {})
+
+        if (range.boundaries) {
+            const counts = toPairs(facetCounts.facet_intervals && facetCounts.facet_intervals[range.name])
+            if (counts.length === 0) return []
+
+            return range.boundaries.slice(1).map((to, index) => ({
+                from: String(range.boundaries[index]),
+                to: String(to),
+                count: Number(counts[index] && counts[index][1]) || 0
+            }))
+        }
+
+        const result = facetCounts.facet_ranges && facetCounts.facet_ranges[range.name]
+        if (!result) return []
+
+        const counts = toPairs(result.counts)
+        return counts.map(([from, count], index) => ({
+            from: String(from),
+            to: String(index < counts.length - 1 ? counts[index + 1][0] : (result.end ?? range.end)),
+            count: Number(count) || 0
+        }))
+    }
+
+    /**
+     * Normalize a range bound for the filter query: number or ISO date, '*' if open or invalid
+     */
+    _normalizeRangeBound(range, value) {
+        if (value === null || value === undefined || value === '' || value === '*') return '*'
+
+        if (range.type === 'date') {
+            const date = new Date(value)
+            return isNaN(date) ? '*' : date.toISOString()
+        }
+
+        const number = Number(value)
+        return Number.isFinite(number) ? String(number) : '*'
+    }
+
+    /**
+     * Normalize a range selection ('from..to', e.g. from the URL)
+     * @returns {Array<string>} ['from..to'], empty if both ends are open
+     */
+    _normalizeRangeSelection(range, value) {
+        const [from, to] = String(value ?? '').split('..').map(bound => this._normalizeRangeBound(range, bound))
+        return from === '*' && to === '*' ? [] : [`${from}..${to}`]
+    }
+
+    /**
+     * Format a range bound: config format function, otherwise Intl options (format) for numbers and dates
+     * @param {Object} range - Entry of config.facets.ranges
+     * @param {string|number} value - Bound
+     * @returns {string}
+     */
+    formatRangeValue(range, value) {
+        if (typeof range.format === 'function') return String(range.format(value, this))
+
+        if (range.type === 'date') {
+            const date = new Date(value)
+            return isNaN(date) ? String(value) : date.toLocaleDateString(this.locale, range.format || { year: 'numeric', month: 'short' })
+        }
+
+        const number = Number(value)
+        return Number.isFinite(number) ? new Intl.NumberFormat(this.locale, range.format || {}).format(number) : String(value)
+    }
+
+    /**
+     * Describe a range selection for the filter chips
+     */
+    _getRangeFilterLabel(range, value) {
+        const [from, to] = String(value).split('..')
+
+        if (from === '*') return this.t('range.below', { value: this.formatRangeValue(range, to) })
+        if (to === '*') return this.t('range.atLeast', { value: this.formatRangeValue(range, from) })
+        return this.t('range.between', { from: this.formatRangeValue(range, from), to: this.formatRangeValue(range, to) })
+    }
+
+    /**
+     * Build the range facet view model shared by the default renderer and theme overrides
+     * The handles sit on bucket bounds: lower and upper are indexes into bounds (0 to buckets.length).
+     * @param {Object|string} range - Entry of config.facets.ranges or its name
+     * @param {Object} page - Result page with the facet counts
+     * @returns {Object|null} { name, displayName, field, type, buckets: [{ from, to, count, label, height, active }],
+     *   bounds, labels (formatted bounds), lower, upper, maxCount, selected }, null without buckets
+     */
+    getRangeFacetViewModel(range, page = this.currentPage) {
+        if (typeof range === 'string') range = this._getRangeFacetConfig(range)
+        else if (range) range = this._getRangeFacetConfig(range.name)
+        if (!range) return null
+
+        const buckets = this._getRangeBuckets(range, page)
+        if (buckets.length === 0) return null
+
+        const bounds = [...buckets.map(bucket => bucket.from), buckets[buckets.length - 1].to]
+        const last = bounds.length - 1
+        const entry = this.filterQueries.get(`facet:${range.name}`)
+        const [from, to] = entry ? entry.values[0].split('..') : ['*', '*']
+
+        // A bound between two bucket bounds widens the selection to the enclosing buckets
+        const position = (bound) => range.type === 'date' ? Date.parse(bound) : Number(bound)
+        let lower = from === '*' ? 0 : bounds.findLastIndex(bound => position(bound) <= position(from))
+        let upper = to === '*' ? last : bounds.findIndex(bound => position(bound) >= position(to))
+        if (lower < 0) lower = 0
+        if (upper < 0) upper = last
+        if (upper <= lower) upper = Math.min(last, lower + 1)
+
+        const maxCount = Math.max(...buckets.map(bucket => bucket.count))
+        const labels = bounds.map(bound => this.formatRangeValue(range, bound))
+
+        return {
+            name: range.name,
+            displayName: this.getFacetDisplayName(range.name),
+            field: range.field,
+            type: range.type,
+            buckets: buckets.map((bucket, index) => ({
+                ...bucket,
+                label: this.t('range.bucket', { from: labels[index], to: labels[index + 1], count: bucket.count }),
+                height: maxCount > 0 ? Math.round(bucket.count / maxCount * 100) : 0,
+                active: index >= lower && index < upper
+            })),
+            bounds,
+            labels,
+            lower,
+            upper,
+            maxCount,
+            selected: Boolean(entry)
+        }
+    }
+
+    /**
+     * Filter a range facet and re-query
+     * @param {string} name - Range facet name
+     * @param {number|string|null} from - Lower bound (inclusive), null for open
+     * @param {number|string|null} to - Upper bound (exclusive), null for open; both null clears the range
+     */
+    async setRangeFilter(name, from, to) {
+        if (!this._getRangeFacetConfig(name)) {
+            throw new Error(`SmartSearchUI: Unknown range facet '${name}'`)
+        }
+
+        this._setFacetFilterQuery(name, [`${from ?? '*'}..${to ?? '*'}`])
+        await this._refilter()
+    }
+
+    /**
+     * Render a range facet: histogram of the bucket counts with a two-handle slider
+     * Themes can override the markup with components.renderRangeFacet(range, uiInstance, view).
+     * @param {Object} range - Entry of config.facets.ranges
+     * @param {Object} page - Result page with the facet counts
+     */
+    renderRangeFacet(range, page = this.currentPage) {
+        if (!this.facetContainer) return
+
+        const view = this.getRangeFacetViewModel(range, page)
+        if (!view) {
+            this._renderRangeSelectionOnly(range)
+            return
+        }
+
+        const renderRangeFacet = this.currentTheme?.components?.renderRangeFacet
+        const facetElement = renderRangeFacet
+            ? this._htmlToElement(renderRangeFacet(range, this, view))
+            : this._createRangeFacetElement(view)
+
+        this._attachRangeFacetControls(facetElement, view)
+        this.facetContainer.appendChild(facetElement)
+    }
+
+    /**
+     * Render a selected range facet without buckets as its title, selection and reset button,
+     * so the filter query it applies stays visible and removable
+     * @param {Object|string} range - Entry of config.facets.ranges or its name
+     */
+    _renderRangeSelectionOnly(range) {
+        range = this._getRangeFacetConfig(typeof range === 'string' ? range : range.name)
+        const entry = range && this.filterQueries.get(`facet:${range.name}`)
+        if (!entry) return
+
+        const esc = (value) => this.escapeHTML(value)
+        const displayName = this.getFacetDisplayName(range.name)
+
+        const facetElement = this._htmlToElement(`
+            <div class="facet-group range-facet" role="group" aria-labelledby="facet-title-${esc(range.name)}">
+                <div class="filter-group-title">
+                    <span id="facet-title-${esc(range.name)}">${esc(displayName)}</span>
+                    <button type="button" class="facet-reset-btn" data-range-reset aria-label="${esc(this.t('facet.resetLabel', { facet: displayName }))}">${esc(this.t('facet.reset'))}</button>
+                </div>
+                <div class="range-values">
+                    <span>${esc(this._getRangeFilterLabel(range, entry.values[0]))}</span>
+                </div>
+            </div>
+        `)
+
+        facetElement.querySelector('[data-range-reset]').addEventListener('click', () => {
+            this.setRangeFilter(range.name, null, null)
+        })
+        this.facetContainer.appendChild(facetElement)
+    }
+
+    /**
+     * Build the default markup of a range facet
+     */
+    _createRangeFacetElement(view) {
+        const esc = (value) => this.escapeHTML(value)
+        const last = view.bounds.length - 1
+
+        return this._htmlToElement(`
+            <div class="facet-group range-facet" role="group" aria-labelledby="facet-title-${esc(view.name)}">
+                <div class="filter-group-title">
+                    <span id="facet-title-${esc(view.name)}">${esc(view.displayName)}</span>
+                    ${view.selected ? `
+                        <button type="button" class="facet-reset-btn" data-range-reset aria-label="${esc(this.t('facet.resetLabel', { facet: view.displayName }))}">${esc(this.t('facet.reset'))}</button>
+                    ` : ''}
+                </div>
+                <div class="range-histogram" aria-hidden="true">
+                    ${view.buckets.map((bucket, index) => `
+                        <span class="range-bar" data-range-bar="${index}" ${bucket.active ? 'data-range-active' : ''}
+                            style="height: ${Math.max(bucket.height, 2)}%" title="${esc(bucket.label)}"></span>
+                    `).join('')}
+                </div>
+                <div class="range-slider">
+                    <input type="range" data-range-handle="from" min="0" max="${last}" step="1" value="${view.lower}"
+                        aria-label="${esc(this.t('range.min', { facet: view.displayName }))}" aria-valuetext="${esc(view.labels[view.lower])}">
+                    <input type="range" data-range-handle="to" min="0" max="${last}" step="1" value="${view.upper}"
+                        aria-label="${esc(this.t('range.max', { facet: view.displayName }))}" aria-valuetext="${esc(view.labels[view.upper])}">
+                </div>
+                <div class="range-values">
+                    <span data-range-label="from">${esc(view.labels[view.lower])}</span>
+                    <span data-range-label="to">${esc(view.labels[view.upper])}</span>
+                </div>
+            </div>
+        `)
+    }
+
+    /**
+     * Wire a rendered range facet (default or theme markup)
+     * Moving a data-range-handle input ("from"/"to") updates the data-range-label texts and
+     * data-range-active on the data-range-bar elements; releasing it filters. data-range-reset clears the range.
+     */
+    _attachRangeFacetControls(facetElement, view) {
+        const handles = {
+            from: facetElement.querySelector('[data-range-handle="from"]'),
+            to: facetElement.querySelector('[data-range-handle="to"]')
+        }
+        if (!handles.from || !handles.to) return
+
+        const last = view.bounds.length - 1
+
+        const update = (moved) => {
+            let lower = Number(handles.from.value)
+            let upper = Number(handles.to.value)
+
+            // The handles cannot pass each other, at least one bucket stays in range
+            if (lower >= upper) {
+                if (moved === 'from') {
+                    upper = Math.max(upper, 1)
+                    lower = upper - 1
+                } else {
+                    lower = Math.min(lower, last - 1)
+                    upper = lower + 1
+                }
+                handles.from.value = lower
+                handles.to.value = upper
+            }
+
+            handles.from.setAttribute('aria-valuetext', view.labels[lower])
+            handles.to.setAttribute('aria-valuetext', view.labels[upper])
+            facetElement.querySelectorAll('[data-range-label]').forEach(label => {
+                label.textContent = view.labels[label.dataset.rangeLabel === 'from' ? lower : upper]
+            })
+            facetElement.querySelectorAll('[data-range-bar]').forEach(bar => {
+                const index = Number(bar.dataset.rangeBar)
+                bar.toggleAttribute('data-range-active', index >= lower && index < upper)
+            })
+
+            return { lower, upper }
+        }
+
+        Object.entries(handles).forEach(([name, handle]) => {
+            handle.addEventListener('input', () => update(name))
+            handle.addEventListener('change', () => {
+                const { lower, upper } = update(name)
+                if (lower === view.lower && upper === view.upper) return
+
+                this.setRangeFilter(view.name,
+                    lower > 0 ? view.bounds[lower] : null,
+                    upper < last ? view.bounds[upper] : null)
+            })
+        })
+
+        facetElement.querySelector('[data-range-reset]')?.addEventListener('click', () => {
+            this.setRangeFilter(view.name, null, null)
+        })
+    }
+
+    /**
+     * Setup date filter inputs
+     */
+    _setupDateFilter(page) {
+        const dateFilterBox = document.getElementById("custom-date-filter")
+        if (!dateFilterBox) return
+
+        dateFilterBox.style.display = ""
+
+        // NEW: Render preset buttons if enabled
+        if (this.config.dateFilter.presets.enabled &&
+            this.config.dateFilter.presets.options &&
+            this.config.dateFilter.presets.options.length > 0) {
+
+            const presetsContainer = document.getElementById("date-presets-container")
+            if (presetsContainer) {
+                presetsContainer.innerHTML = '' // Clear existing
+
+                this.config.dateFilter.presets.options.forEach(preset => {
+                    const button = document.createElement("button")
+                    button.className = "preset-btn"
+                    button.textContent = this._translateLabel(`date.preset.${preset.days}`, preset.label)
+                    button.type = "button"
+
+                    // Reapply active state if this preset is currently active
+                    if (this.activePresetDays === preset.days) {
+                        button.classList.add('active')
+                    }
+
+                    button.addEventListener("click", async () => {
+                        await this._applyDatePreset(preset.days, preset.label, button)
+                    })
+
+                    presetsContainer.appendChild(button)
+                })
+            }
+        }
+
+        let startDateInput = document.getElementById("start-date")
+        let endDateInput = document.getElementById("end-date")
+        const resetDateBtn = document.getElementById("reset-date-filter")
+
+        if (startDateInput && endDateInput) {
+            // Remove existing listeners
+            startDateInput.replaceWith(startDateInput.cloneNode(true))
+            endDateInput.replaceWith(endDateInput.cloneNode(true))
+
+            // Get fresh references
+            startDateInput = document.getElementById("start-date")
+            endDateInput = document.getElementById("end-date")
+
+            // Add change listeners
+            startDateInput.addEventListener("change", () => {
+                // NEW: Clear preset active state when manually entering dates
+                this.activePresetDays = null
+
+                // If both inputs are cleared, remove the date filter
+                if (!startDateInput.value && !endDateInput.value) {
+                    this.removeFilterQuery('date')
+                }
+
+                if (page.facets && page.facets.length > 0) {
+                    this.filter(page.facets[0])
+                }
+            })
+
+            endDateInput.addEventListener("change", () => {
+                // NEW: Clear preset active state when manually entering dates
+                this.activePresetDays = null
+
+                // If both inputs are cleared, remove the date filter
+                if (!startDateInput.value && !endDateInput.value) {
+                    this.removeFilterQuery('date')
+                }
+
+                if (page.facets && page.facets.length > 0) {
+                    this.filter(page.facets[0])
+                }
+            })
+
+            // Reset button
+            if (resetDateBtn) {
+                resetDateBtn.onclick = () => this.clearDateFilter()
+            }
+        }
+    }
+
+    /**
+     * Render a single facet
+     * Facets without values left after minCount are skipped.
+     */
+    renderFacet(facet) {
+        if (!this.facetContainer) return
+
+        const view = this.getFacetViewModel(facet)
+        if (view.values.length === 0) return
+
+        // Tree facets: theme markup if provided, the library wires the controls either way
+        if (view.tree) {
+            const renderTreeFacet = this.currentTheme?.components?.renderTreeFacet
+            const facetElement = renderTreeFacet
+                ? this._htmlToElement(renderTreeFacet(facet, this, view))
+                : this._createTreeFacetElement(facet, view)
+
+            this._attachTreeFacetControls(facetElement, facet)
+            this.facetContainer.appendChild(facetElement)
+            return
+        }
+
+        // Check if theme provides custom rendering
+        if (this.currentTheme?.components?.renderFacet) {
+            const html = this.currentTheme.components.renderFacet(facet, this, view)
+            const facetElement = this._htmlToElement(html)
+
+            // Attach theme's event handlers if provided
+            if (this.currentTheme.eventHandlers?.attachFacetListeners) {
+                this.currentTheme.eventHandlers.attachFacetListeners(facetElement, facet, this)
+            }
+            this._attachFacetValueControls(facetElement, view)
+
+            this.facetContainer.appendChild(facetElement)
+            return
+        }
+
+        // Default rendering (fallback)
+        this._renderFacetDefault(facet, view)
+    }
+
+    /**
+     * Default facet rendering (used when no theme override)
+     */
+    _renderFacetDefault(facet, view = this.getFacetViewModel(facet)) {
+        if (!this.facetContainer) return
+
+        const facetGroup = document.createElement("div")
+        facetGroup.classList.add("facet-group")
+        facetGroup.setAttribute("role", "group")
+
+        // Title with reset button
+        const titleContainer = document.createElement("div")
+        titleContainer.classList.add("filter-group-title")
+
+        const title = document.createElement("span")
+        title.id = `facet-title-${facet.name}`
+        title.innerText = view.displayName
+        titleContainer.appendChild(title)
+        facetGroup.setAttribute("aria-labelledby", title.id)
+        facetGroup.classList.add(`facet-mode-${view.mode}`)
+
+        if (view.mode === 'single') {
+            facetGroup.setAttribute("role", "radiogroup")
+        }
+
+        // 'and' and 'exclude' change what a selection means, say so next to the title
+        if (view.mode === 'and' || view.mode === 'exclude') {
+            const badge = document.createElement("span")
+            badge.classList.add("facet-mode-badge")
+            badge.textContent = this.t(view.mode === 'and' ? 'facet.modeAnd' : 'facet.modeExclude')
+            badge.title = this.t(view.mode === 'and' ? 'facet.modeAndHint' : 'facet.modeExcludeHint')
+            title.appendChild(document.createTextNode(' '))
+            title.appendChild(badge)
+        }
+
+        const resetBtn = document.createElement("button")
+        resetBtn.classList.add("facet-reset-btn")
+        resetBtn.innerText = this.t('facet.reset')
+        resetBtn.setAttribute("aria-label", this.t('facet.resetLabel', { facet: view.displayName }))
+        resetBtn.onclick = () => this.filter(facet, true)
+        titleContainer.appendChild(resetBtn)
+
+        facetGroup.appendChild(titleContainer)
+
+        if (view.searchable) {
+            const search = document.createElement("input")
+            search.type = "search"
+            search.classList.add("facet-search")
+            search.dataset.facetSearch = ''
+            search.placeholder = this.t('facet.searchPlaceholder')
+            search.setAttribute("aria-label", this.t('facet.search', { facet: view.displayName }))
+            facetGroup.appendChild(search)
+        }
+
+        // Options container
+        const optionsContainer = document.createElement("div")
+        optionsContainer.classList.add("facet-options")
+
+        // Add each option
+        view.values.forEach(entry => {
+            const option = document.createElement("div")
+            option.classList.add("facet-option")
+            option.dataset.facetValue = entry.value
+            if (entry.overflow) option.dataset.facetOverflow = ''
+            if (view.mode === 'exclude' && entry.selected) option.classList.add("facet-option-excluded")
+
+            // Radios for single select, checkboxes otherwise
+            const checkbox = document.createElement("input")
+            checkbox.type = view.mode === 'single' ? "radio" : "checkbox"
+            checkbox.name = view.mode === 'single' ? `facet-${facet.name}` : entry.value
+            checkbox.value = entry.value
+            checkbox.id = `facet-${facet.name}-${entry.value}`
+            checkbox.dataset.facet = facet.name
+            checkbox.checked = entry.selected
+            if (view.mode === 'exclude') {
+                checkbox.setAttribute("aria-label", this.t('facet.excludeValue', { value: entry.label }))
+            }
+            checkbox.addEventListener("input", () => this.filter(facet))
+
+            const label = document.createElement("label")
+            label.htmlFor = checkbox.id
+            label.innerHTML = `
+                <span>${this.escapeHTML(entry.label)}</span>
+                <span class="facet-count">(${this.escapeHTML(entry.count)})</span>
+            `
+
+            option.appendChild(checkbox)
+            option.appendChild(label)
+            optionsContainer.appendChild(option)
+        })
+
+        facetGroup.appendChild(optionsContainer)
+
+        if (view.searchable) {
+            const noMatch = document.createElement("p")
+            noMatch.classList.add("facet-no-match")
+            noMatch.dataset.facetNoMatch = ''
+            noMatch.textContent = this.t('facet.noMatch')
+            facetGroup.appendChild(noMatch)
+        }
+
+        if (view.hiddenCount > 0) {
+            const moreBtn = document.createElement("button")
+            moreBtn.type = "button"
+            moreBtn.classList.add("facet-more-btn")
+            moreBtn.dataset.facetMore = ''
+            facetGroup.appendChild(moreBtn)
+        }
+
+        this._attachFacetValueControls(facetGroup, view)
+        this.facetContainer.appendChild(facetGroup)
+    }
+
+    /**
+     * Get the values currently selected for a facet
+     * Reads the default checkboxes (or radios) if rendered, otherwise the facet's own selection
+     */
+    _getSelectedFacetValues(facet) {
+        const inputs = Array.from(document.querySelectorAll('.facet-option input[data-facet]'))
+            .filter(element => element.dataset.facet === facet.name)
+
+        if (inputs.length === 0) {
+            return this._getFacetSelection(facet)
+        }
+
+        return inputs
+            .filter(element => element.checked)
+            .map(element => element.value)
+    }
+
+    /**
+     * Filter by facets and date
+     * @param {Object} facet - Facet to filter
+     * @param {boolean} reset - Clear all values of this facet
+     * @param {Array|null} values - Values to select (read from the rendered facet if omitted)
+     */
+    async filter(facet, reset = false, values = null) {
+        if (values === null) {
+            values = this._getSelectedFacetValues(facet)
+        }
+
+        const previousValues = this._getFacetSelection(facet)
+
+        try {
+            if (reset) {
+                values = []
+            }
+
+            // Handle date filter
+            if (this.config.dateFilter.enabled) {
+                const startDateValue = document.getElementById("start-date")?.value
+                const endDateValue = document.getElementById("end-date")?.value
+
+                if (startDateValue || endDateValue) {
+                    const dateFilterQuery = this._buildDateRangeQuery(startDateValue, endDateValue)
+                    this.setFilterQuery('date', dateFilterQuery, this.config.dateFilter.solrFilterParam)
+                }
+                // NOTE: Don't delete custom params here - preset filters may have set them
+                // Only delete when explicitly reset via reset buttons
+            }
+
+            // 'and'/'exclude' facets filter through their filter query, the facet itself stays unselected
+            const usesFilterQuery = this._usesFacetFilterQuery(facet.name)
+            if (usesFilterQuery) {
+                this._setFacetFilterQuery(facet.name, values)
+            }
+
+            const page = await this._request(() => usesFilterQuery ? facet.filter() : facet.filter(...values))
+            if (!page) return
+
+            this.currentPage = page
+            this.initFacetContainer(page)
+            this.renderAllFacets(page)
+            this.renderSearchResults(page)
+            this.updateResultsInfo(page, this.currentQuery)
+            this._writeUrlState(page)
+
+            // Date and custom filters also go through here with an unchanged facet
+            const facetChanged = values.length !== previousValues.length ||
+                                 values.some(value => !previousValues.includes(value))
+            this._trackFilterChange(page, facetChanged ? { facet: facet.name, values } : {})
+
+            if (this.config.features.smoothScrolling) {
+                window.scrollTo({ top: 0, behavior: 'smooth' })
+            }
+        } catch (error) {
+            console.error('Filter error:', error)
+
+            // Keep the filter query in line with the facets still on the page
+            if (this._usesFacetFilterQuery(facet.name)) {
+                this._setFacetFilterQuery(facet.name, previousValues)
+            }
+        }
+    }
+
+    /**
+     * Render search results
+     */
+    renderSearchResults(page) {
+        const paginationWrapper = document.getElementById("pagination")
+        const searchResultWrapper = document.getElementById("search-results")
+
+        if (!paginationWrapper || !searchResultWrapper) return
+
+        this.renderActiveFilters(page)
+
+        if (this._isGroupedView()) {
+            // Before render hook
+            if (this.config.hooks.beforeRender) {
+                page = this.config.hooks.beforeRender(page)
+            }
+
+            this._renderGroupedView(page).then(rendered => {
+                // After render hook, once the groups are on the page
+                if (rendered && this.config.hooks.afterRender) {
+                    this.config.hooks.afterRender(page)
+                }
+            })
+            return
+        }
+
+        // Before render hook
+        if (this.config.hooks.beforeRender) {
+            page = this.config.hooks.beforeRender(page)
+        }
+
+        this._disconnectPaginationObserver()
+        paginationWrapper.innerHTML = ""
+        searchResultWrapper.innerHTML = ""
+
+        // First page of the (possibly growing) result list
+        this.firstRenderedPage = this._getPageNumber(page)
+
+        const hasResults = page.searchResults && page.searchResults.length > 0
+        const totalResults = this._getTotalResults(page)
+
+        this._toggleResultsControls(hasResults && totalResults > 0)
+
+        if (!hasResults || totalResults === 0) {
+            this._renderNoResults(searchResultWrapper)
+            return
+        }
+
+        this._renderResultCards(page, searchResultWrapper)
+
+        // Way back from "see all in this group"
+        if (this.config.grouping.enabled && this.filterQueries.has('group')) {
+            searchResultWrapper.prepend(this._createGroupFilterBar())
+        }
+
+        // Render pagination
+        const pageRenderer = this.fsss.getPageRenderer(page)
+        this._renderPaginationControls(page, paginationWrapper, pageRenderer)
+
+        // Handle "Did You Mean"
+        if (this.config.features.didYouMean) {
+            this.handleDidYouMean(page, pageRenderer)
+        }
+
+        // After render hook
+        if (this.config.hooks.afterRender) {
+            this.config.hooks.afterRender(page)
+        }
+    }
+
+    /**
+     * Append the results of a page to the current result list (loadMore/infinite modes)
+     */
+    appendSearchResults(page) {
+        const paginationWrapper = document.getElementById("pagination")
+        const searchResultWrapper = document.getElementById("search-results")
+
+        if (!paginationWrapper || !searchResultWrapper) return
+
+        // Before render hook
+        if (this.config.hooks.beforeRender) {
+            page = this.config.hooks.beforeRender(page)
+        }
+
+        this._renderResultCards(page, searchResultWrapper)
+
+        this._renderPaginationControls(page, paginationWrapper)
+
+        // After render hook
+        if (this.config.hooks.afterRender) {
+            this.config.hooks.afterRender(page)
+        }
+    }
+
+    /**
+     * Load the next page and append it to the result list
+     */
+    async loadNextPage() {
+        if (this._loadingNextPage || !this.currentPage || !this.currentPage.hasNext()) return
+
+        this._loadingNextPage = true
+        const button = document.querySelector("#pagination .load-more-btn")
+        if (button) {
+            button.disabled = true
+            button.textContent = this.t('pagination.loading')
+        }
+
+        try {
+            const previousPage = this._getPageNumber(this.currentPage)
+            const page = await this._request(() => this.currentPage.next())
+            if (!page) return
+
+            this.currentPage = page
+            this.appendSearchResults(page)
+            this.updateResultsInfo(page, this.currentQuery)
+            this.emit('pageChange', {
+                page: this._getPageNumber(page),
+                previousPage,
+                mode: this.config.ui.paginationMode
+            })
+        } catch (error) {
+            console.error('Load more error:', error)
+            if (button) {
+                button.disabled = false
+                button.textContent = this.t('pagination.loadMore')
+            }
+        } finally {
+            this._loadingNextPage = false
+        }
+    }
+
+    /**
+     * Render pagination for the configured mode
+     * - numbered: page buttons from the bundle's page renderer
+     * - loadMore: a "Load more" button that appends the next page
+     * - infinite: like loadMore, triggered when a sentinel scrolls into view
+     */
+    _renderPaginationControls(page, paginationWrapper, pageRenderer = null) {
+        this._disconnectPaginationObserver()
+        paginationWrapper.innerHTML = ""
+
+        const mode = this.config.ui.paginationMode
+
+        if (mode !== 'loadMore' && mode !== 'infinite') {
+            pageRenderer = pageRenderer || this.fsss.getPageRenderer(page)
+            pageRenderer.renderPaginationToHTMLElement(paginationWrapper, this.config.ui.maxPaginationButtons)
+            this.linkPagination(page)
+            return
+        }
+
+        if (!page.hasNext()) return
+
+        const button = document.createElement("button")
+        button.type = "button"
+        button.className = "load-more-btn"
+        button.textContent = this.t('pagination.loadMore')
+        button.addEventListener("click", () => this.loadNextPage())
+        paginationWrapper.appendChild(button)
+
+        if (mode === 'infinite' && 'IntersectionObserver' in window) {
+            const sentinel = document.createElement("div")
+            sentinel.className = "pagination-sentinel"
+            sentinel.setAttribute("aria-hidden", "true")
+            paginationWrapper.appendChild(sentinel)
+
+            this._paginationObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadNextPage()
+                }
+            }, { rootMargin: this.config.ui.infiniteScrollMargin })
+            this._paginationObserver.observe(sentinel)
+        }
+    }
+
+    /**
+     * Stop watching the infinite scroll sentinel
+     */
+    _disconnectPaginationObserver() {
+        if (this._paginationObserver) {
+            this._paginationObserver.disconnect()
+            this._paginationObserver = null
+        }
+    }
+
+    /**
+     * Whether results are shown as one section per group
+     * The "see all in this group" filter switches back to the normal list.
+     */
+    _isGroupedView() {
+        return Boolean(this.config.grouping.enabled && this.config.grouping.field) &&
+               !this.filterQueries.has('group')
+    }
+
+    /**
+     * Run a query grouped by config.grouping.field
+     * Facet selections and filter queries apply to the grouped request as well.
+     * @param {string} query - Search query (defaults to the current query)
+     * @returns {Promise<Map|null>} Map of group value to result page, or null if the search failed
+     */
+    async searchGroups(query = this.currentQuery) {
+        const { field, limit } = this.config.grouping
+
+        // Groups always start at their first page
+        this.fsss.deleteCustomParams('haupia_pageNumber', 'haupia_start')
+
+        try {
+            return await this.fsss.searchWithGroup(query, field, limit)
+        } catch (error) {
+            console.error('Group search error:', error)
+            this.showErrorState(error)
+            return null
+        } finally {
+            // searchWithGroup leaves its params in the shared request parameters
+            this.fsss.deleteCustomParams('grouping', 'groupField', 'groupLimit')
+        }
+    }
+
+    /**
+     * Render the grouped view of a page
+     * The groups are fetched once per page, re-renders (e.g. a theme switch) reuse them.
+     * @returns {Promise<boolean>} Whether the groups were rendered (false while loading or if superseded)
+     */
+    async _renderGroupedView(page) {
+        const paginationWrapper = document.getElementById("pagination")
+        const searchResultWrapper = document.getElementById("search-results")
+
+        this._disconnectPaginationObserver()
+        paginationWrapper.innerHTML = ""
+
+        if (this._groupsSourcePage !== page) {
+            this._groupsSourcePage = page
+            this.currentGroups = null
+
+            const groups = await this._request(() => this.searchGroups())
+
+            // A newer page has been rendered in the meantime
+            if (this._groupsSourcePage !== page || !groups) return false
+
+            this.currentGroups = new Map()
+            groups.forEach((groupPage, value) => {
+                this.currentGroups.set(value, { page: groupPage, pageNumber: 0 })
+            })
+        }
+
+        // Still loading, the pending request renders when it returns
+        if (!this.currentGroups) return false
+
+        searchResultWrapper.innerHTML = ""
+        this._toggleResultsControls(this.currentGroups.size > 0)
+
+        if (this.currentGroups.size === 0) {
+            this._renderNoResults(searchResultWrapper)
+        } else {
+            this.currentGroups.forEach((group, value) => {
+                searchResultWrapper.appendChild(this._createGroupSection(value, group))
+            })
+        }
+
+        if (this.config.features.didYouMean) {
+            this.handleDidYouMean(page, this.fsss.getPageRenderer(page))
+        }
+
+        this.updateResultsInfo(page, this.currentQuery)
+        return true
+    }
+
+    /**
+     * Build the section of one group: header with count, result cards and group pagination
+     * @param {string} value - Group value
+     * @param {Object} group - { page, pageNumber }
+     * @returns {HTMLElement}
+     */
+    _createGroupSection(value, group) {
+        const limit = this.config.grouping.limit
+        const total = (group.page.responseData && group.page.responseData.numRows) || 0
+        const pageCount = Math.ceil(total / limit)
+
+        const section = document.createElement('section')
+        section.className = 'result-group'
+        section.dataset.groupValue = value
+        section.innerHTML = `
+            <header class="result-group-header">
+                <h2 class="result-group-title">${this.escapeHTML(value)}</h2>
+                <span class="result-group-count">${total}</span>
+                <button type="button" class="result-group-all">${this.t('groups.seeAll')}</button>
+            </header>
+            <div class="result-group-results"></div>
+            ${pageCount > 1 ? `
+            <nav class="result-group-pagination">
+                <button type="button" class="result-group-page-btn" data-page="${group.pageNumber - 1}" ${group.pageNumber === 0 ? 'disabled' : ''}>${this.t('groups.previous')}</button>
+                <span class="result-group-page-info">${group.pageNumber + 1} / ${pageCount}</span>
+                <button type="button" class="result-group-page-btn" data-page="${group.pageNumber + 1}" ${group.pageNumber + 1 >= pageCount ? 'disabled' : ''}>${this.t('groups.next')}</button>
+            </nav>
+            ` : ''}
+        `
+
+        this._renderResultCards(group.page, section.querySelector('.result-group-results'))
+
+        section.querySelector('.result-group-all').addEventListener('click', () => this.showGroup(value))
+        section.querySelectorAll('.result-group-page-btn').forEach(button => {
+            button.addEventListener('click', () => this._loadGroupPage(value, Number(button.dataset.page)))
+        })
+
+        return section
+    }
+
+    /**
+     * Load another page of a single group and replace its section
+     * @param {string} value - Group value
+     * @param {number} pageNumber - 0-based page number within the group
+     */
+    async _loadGroupPage(value, pageNumber) {
+        if (!this.currentGroups || !this.currentGroups.has(value) || pageNumber < 0) return
+
+        // Group pages load independently of each other, only a new search discards them
+        const requestId = this._requestId
+        const limit = this.config.grouping.limit
+        const previousPageNumber = this.currentGroups.get(value).pageNumber
+
+        const currentSection = this._findGroupSection(value)
+        if (currentSection) {
+            currentSection.classList.add('is-loading')
+        }
+
+        // Page through an own instance seeded with the current filter, facet and custom params,
+        // the group filter and group page size never reach the shared request parameters
+        const pager = new this.fsss.constructor(this.fsss.host, this.fsss.preparedSearch, this.fsss.options)
+        pager.searchClient.parameterList = this.fsss.searchClient.parameterList
+        pager.customParameterList = this.fsss.customParameterList
+        pager.deleteCustomParams('haupia_pageNumber', 'haupia_start', 'haupia_pageSize')
+
+        try {
+            const page = await pager.search(
+                this.currentQuery,
+                { [this.config.filterQueries.param]: this._buildGroupQuery(value) },
+                { haupia_pageNumber: String(pageNumber) },
+                { haupia_pageSize: String(limit) }
+            )
+
+            if (requestId !== this._requestId) return
+
+            const group = { page, pageNumber }
+            this.currentGroups.set(value, group)
+
+            const section = this._findGroupSection(value)
+            if (section) {
+                section.replaceWith(this._createGroupSection(value, group))
+            }
+
+            this.emit('pageChange', {
+                page: pageNumber + 1,
+                previousPage: previousPageNumber + 1,
+                mode: 'group',
+                group: value
+            })
+        } catch (error) {
+            console.error('Group page error:', error)
+            if (currentSection) {
+                currentSection.classList.remove('is-loading')
+            }
+        }
+    }
+
+    /**
+     * Find the rendered section of a group
+     */
+    _findGroupSection(value) {
+        return Array.from(document.querySelectorAll('#search-results .result-group'))
+            .find(element => element.dataset.groupValue === value)
+    }
+
+    /**
+     * Leave the grouped view and show all results of one group as a normal list
+     * @param {string} value - Group value
+     */
+    async showGroup(value) {
+        this.activeGroup = value
+        this.setFilterQuery('group', this._buildGroupQuery(value))
+
+        const page = await this.refresh()
+        if (page) this._trackFilterChange(page)
+    }
+
+    /**
+     * Remove the group filter and return to the grouped view
+     */
+    async showAllGroups() {
+        this.activeGroup = null
+        this.removeFilterQuery('group')
+
+        const page = await this.refresh()
+        if (page) this._trackFilterChange(page)
+    }
+
+    /**
+     * Build the filter query that restricts results to one group value
+     */
+    _buildGroupQuery(value) {
+        const escaped = String(value).replace(/(["\\])/g, '\\$1')
+        return `${this.config.grouping.field}:"${escaped}"`
+    }
+
+    /**
+     * Build the bar shown above the list of a single group
+     */
+    _createGroupFilterBar() {
+        const bar = document.createElement('div')
+        bar.className = 'group-filter-bar'
+        bar.innerHTML = `
+            <button type="button" class="group-back-btn">${this.t('groups.back')}</button>
+            <span class="group-filter-label">${this.escapeHTML(this.activeGroup)}</span>
+        `
+        bar.querySelector('.group-back-btn').addEventListener('click', () => this.showAllGroups())
+        return bar
+    }
+
+    /**
+     * Render result cards with the custom template or the (theme) default cards
+     */
+    _renderResultCards(page, container) {
+        const renderedCards = container.querySelectorAll('[data-result-card]').length
+
+        if (this.config.resultTemplate) {
+            this._renderWithCustomTemplate(page, container)
+        } else {
+            this._renderDefaultCards(page, container)
+        }
+
+        const cards = Array.from(container.querySelectorAll('[data-result-card]')).slice(renderedCards)
+        this._trackResultCards(page, cards)
+    }
+
+    /**
+     * Render the "No results found" state
+     */
+    _renderNoResults(container) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🔍</div>
+                <div class="empty-state-text">${this.t('results.none')}</div>
+                <p style="margin-top: 1rem; color: var(--text-tertiary); font-size: 0.95rem;">
+                    ${this.t('results.noneHint')}
+                </p>
+            </div>
+        `
+    }
+
+    /**
+     * Render results with custom template
+     */
+    _renderWithCustomTemplate(page, container) {
+        const results = page.searchResults || []
+
+        results.forEach((resultWrapper, index) => {
+            const result = resultWrapper.result
+            const highlights = resultWrapper.highlights
+
+            const html = this.config.resultTemplate(result, highlights, this)
+
+            const article = document.createElement('article')
+            article.className = 'result-card'
+            article.dataset.resultCard = ''
+            article.innerHTML = html
+
+            container.appendChild(article)
+        })
+    }
+
+    /**
+     * Render default result cards
+     */
+    _renderDefaultCards(page, container) {
+        const results = page.searchResults || []
+
+        results.forEach((resultWrapper, index) => {
+            const result = resultWrapper.result
+            const highlights = resultWrapper.highlights
+
+            // Check if theme provides custom rendering
+            if (this.currentTheme?.components?.renderResultCard) {
+                const html = this.currentTheme.components.renderResultCard(result, highlights, this)
+                const cardElement = this._htmlToElement(html)
+                cardElement.className = cardElement.className || 'result-card'
+                cardElement.dataset.resultCard = ''
+
+                // Attach theme's event handlers if provided
+                if (this.currentTheme.eventHandlers?.attachCardListeners) {
+                    this.currentTheme.eventHandlers.attachCardListeners(cardElement, result, this)
+                }
+
+                container.appendChild(cardElement)
+                return
+            }
+
+            // Default rendering (fallback)
+            const resultCard = document.createElement('article')
+            resultCard.className = 'result-card'
+            resultCard.dataset.resultCard = ''
+
+            // Extract fields using config (escaped for HTML)
+            const title = this.escapeHTML(this.getField(result, 'title'))
+            const rawLink = String(this.getField(result, 'link'))
+            const link = this.escapeHTML(rawLink)
+            const linkText = this.escapeHTML(rawLink.length > 80 ? rawLink.substring(0, 80) + '...' : rawLink)
+            const date = this.escapeHTML(this.formatDate(result))
+
+            // Get description with highlighting
+            const description = this.getDescriptionHTML(result, highlights)
+
+            const language = this.escapeHTML(this.getField(result, 'language') ||
+                           this.config.resultFields.language.default)
+
+            // Build card HTML
+            resultCard.innerHTML = `
+                ${this.config.features.fieldInspector ? `
+                <button class="result-menu-btn" data-result-index="${index}" aria-label="${this.t('results.showAllFields')}" title="${this.t('results.showAllFields')}">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="12" cy="12" r="1"></circle>
+                        <circle cx="12" cy="5" r="1"></circle>
+                        <circle cx="12" cy="19" r="1"></circle>
+                    </svg>
+                </button>
+                ` : ''}
+                <a href="${link}" target="_blank" rel="noopener noreferrer" class="result-link">
+                    <div class="result-header">
+                        <h2 class="result-title">${title}</h2>
+                    </div>
+                    <div class="result-content">
+                        <p class="result-description">${description}</p>
+                    </div>
+                    <div class="result-footer">
+                        <div class="result-meta-row">
+                            <span class="result-date">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
+                                    <line x1="16" y1="2" x2="16" y2="6"></line>
+                                    <line x1="8" y1="2" x2="8" y2="6"></line>
+                                    <line x1="3" y1="10" x2="21" y2="10"></line>
+                                </svg>
+                                ${date}
+                            </span>
+                            <span class="result-badge">${language}</span>
+                        </div>
+                        <div class="result-url">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
+                                <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
+                            </svg>
+                            <span class="url-text" title="${link}">${linkText}</span>
+                        </div>
+                    </div>
+                </a>
+            `
+
+            // Add field inspector button handler
+            if (this.config.features.fieldInspector) {
+                const menuBtn = resultCard.querySelector('.result-menu-btn')
+                if (menuBtn) {
+                    menuBtn.addEventListener('click', (e) => {
+                        e.preventDefault()
+                        e.stopPropagation()
+                        this.openFieldsSidebar(result, highlights)
+                    })
+                }
+            }
+
+            container.appendChild(resultCard)
+        })
+    }
+
+    /**
+     * Collect the active filters as chip view models
+     * Static filter queries are not listed, they cannot be removed.
+     * @param {Object|null} page - Result page with the facet selection
+     * @returns {Array<Object>} { id, type ('facet', 'date' or 'filter'), name, value, remove() }
+     */
+    getActiveFilters(page = this.currentPage) {
+        const filters = []
+
+        if (page && page.facets) {
+            page.facets.forEach(facet => {
+                const selectedValues = this._getFacetSelection(facet)
+                const excluded = this._getFacetSettings(facet.name).mode === 'exclude'
+
+                selectedValues.forEach(value => {
+                    const label = this.getFacetValueLabel(facet.name, value)
+                    filters.push({
+                        id: `facet:${facet.name}:${value}`,
+                        type: 'facet',
+                        name: this.getFacetDisplayName(facet.name, facet.displayName || facet.name),
+                        value: excluded ? this.t('activeFilters.excluded', { value: label }) : label,
+                        remove: () => this.filter(facet, false, selectedValues.filter(v => v !== value))
+                    })
+                })
+            })
+        }
+
+        this.config.facets.ranges.forEach(range => {
+            const entry = this.filterQueries.get(`facet:${range.name}`)
+            if (!entry) return
+
+            filters.push({
+                id: `range:${range.name}`,
+                type: 'facet',
+                name: this.getFacetDisplayName(range.name),
+                value: this._getRangeFilterLabel(this._getRangeFacetConfig(range.name), entry.values[0]),
+                remove: () => this.setRangeFilter(range.name, null, null)
+            })
+        })
+
+        if (this.filterQueries.has('date')) {
+            filters.push({
+                id: 'date',
+                type: 'date',
+                name: this.t('activeFilters.date'),
+                value: this._getDateFilterLabel(),
+                remove: () => this.clearDateFilter()
+            })
+        }
+
+        const staticNames = Object.keys(this.config.filterQueries.static)
+
+        this.filterQueries.forEach((entry, name) => {
+            // Facet filter queries are listed with their facet above
+            if (name === 'date' || staticNames.includes(name) || entry.facet) return
+
+            if (name === 'group') {
+                const field = this.config.grouping.field
+                filters.push({
+                    id: 'filter:group',
+                    type: 'filter',
+                    name: this.getFacetDisplayName(field),
+                    value: this.activeGroup,
+                    remove: () => this.showAllGroups()
+                })
+                return
+            }
+
+            filters.push({
+                id: `filter:${name}`,
+                type: 'filter',
+                name: this._translateLabel(`filter.name.${name}`, this.config.filterQueries.labels[name] || name),
+                value: entry.query,
+                remove: () => {
+                    this.removeFilterQuery(name)
+                    return this._refilter()
+                }
+            })
+        })
+
+        return filters
+    }
+
+    /**
+     * Describe the active date filter: preset label or the entered range
+     */
+    _getDateFilterLabel() {
+        if (this.activePresetDays) {
+            const preset = this.config.dateFilter.presets.options.find(option => option.days === this.activePresetDays)
+            return preset
+                ? this._translateLabel(`date.preset.${preset.days}`, preset.label)
+                : this.t('date.lastDays', { count: this.activePresetDays })
+        }
+
+        const startDate = document.getElementById("start-date")?.value
+        const endDate = document.getElementById("end-date")?.value
+
+        if (startDate && endDate) return this.t('date.range', { start: startDate, end: endDate })
+        if (startDate) return this.t('date.from', { date: startDate })
+        if (endDate) return this.t('date.until', { date: endDate })
+        return ''
+    }
+
+    /**
+     * Render the active filter chips above the result info
+     * Themes can override the markup with components.renderActiveFilters(filters, uiInstance);
+     * elements with data-remove-filter="<id>" remove a filter, data-clear-filters clears all.
+     * @param {Object|null} page - Result page with the facet selection
+     */
+    renderActiveFilters(page = this.currentPage) {
+        const container = document.getElementById("active-filters")
+        if (!container) return
+
+        const filters = page ? this.getActiveFilters(page) : []
+
+        container.hidden = filters.length === 0
+        if (filters.length === 0) {
+            container.innerHTML = ''
+            return
+        }
+
+        if (this.currentTheme?.components?.renderActiveFilters) {
+            container.innerHTML = this.currentTheme.components.renderActiveFilters(filters, this)
+        } else {
+            container.innerHTML = this._renderActiveFiltersDefault(filters)
+        }
+
+        container.onclick = (event) => {
+            const chip = event.target.closest('[data-remove-filter]')
+            if (chip) {
+                const filter = filters.find(f => f.id === chip.dataset.removeFilter)
+                if (filter) filter.remove()
+                return
+            }
+
+            if (event.target.closest('[data-clear-filters]')) {
+                this.resetAllFilters()
+            }
+        }
+    }
+
+    /**
+     * Default active filter chips (used when no theme override)
+     */
+    _renderActiveFiltersDefault(filters) {
+        return `
+            <span class="active-filters-label">${this.t('activeFilters.label')}</span>
+            ${filters.map(filter => `
+                <button type="button" class="active-filter-chip" data-remove-filter="${this.escapeHTML(filter.id)}" title="${this.t('activeFilters.remove')}">
+                    <span class="active-filter-name">${this.escapeHTML(filter.name)}:</span>
+                    <span class="active-filter-value">${this.escapeHTML(filter.value)}</span>
+                    <span class="active-filter-remove" aria-hidden="true">×</span>
+                </button>
+            `).join('')}
+            ${filters.length > 1 ? `<button type="button" class="active-filters-clear" data-clear-filters>${this.t('activeFilters.clearAll')}</button>` : ''}
+        `
+    }
+
+    /**
+     * Handle Did You Mean suggestions
+     */
+    handleDidYouMean(page, pageRenderer) {
+        const element = document.getElementById("did-you-mean")
+        if (!element) return
+
+        element.innerHTML = ""
+
+        if (page.didYouMean && page.didYouMean.length > 0) {
+            pageRenderer.renderDidYouMeanToHTMLElement(element)
+            element.style.display = "block"
+        } else {
+            element.style.display = "none"
+        }
+    }
+
+    /**
+     * Get the total number of results of a page
+     */
+    _getTotalResults(page) {
+        return (page.responseData && page.responseData.numRows) ||
+               page.numRows || page.totalHits || page.totalResults || page.total || 0
+    }
+
+    /**
+     * Update results info display
+     */
+    updateResultsInfo(page, query) {
+        const resultsInfo = document.getElementById("results-info")
+        if (!resultsInfo || !query) return
+
+        const totalResults = this._getTotalResults(page)
+
+        if (this._isGroupedView()) {
+            resultsInfo.innerHTML = this.currentGroups && totalResults > 0
+                ? this.t('results.grouped', {
+                    count: totalResults,
+                    total: `<strong>${totalResults}</strong>`,
+                    groups: `<strong>${this.currentGroups.size}</strong>`,
+                    query: `<strong>${this.escapeHTML(query)}</strong>`
+                })
+                : ''
+            if (this.currentGroups) {
+                this.announce(resultsInfo.textContent || this.t('results.none'))
+            }
+            return
+        }
+
+        const currentPage = this._getPageNumber(page)
+
+        const pageSize = (page.paginationParams && page.paginationParams.pageSize) ||
+                         (page.responseData && page.responseData.rows) ||
+                         page.rows || page.pageSize || page.size || this.pageSize
+
+        // Appending modes show the cumulative range of all loaded pages
+        const firstPage = this._isAppendingPagination() ? Math.min(this.firstRenderedPage || currentPage, currentPage) : currentPage
+
+        if (totalResults > 0) {
+            const startResult = ((firstPage - 1) * pageSize) + 1
+            const endResult = Math.min(currentPage * pageSize, totalResults)
+            resultsInfo.innerHTML = this.t('results.showing', {
+                count: totalResults,
+                range: `<strong>${startResult}-${endResult}</strong>`,
+                total: `<strong>${totalResults}</strong>`,
+                query: `<strong>${this.escapeHTML(query)}</strong>`
+            })
+        } else {
+            resultsInfo.innerHTML = ''
+        }
+
+        this.announce(totalResults > 0 ? resultsInfo.textContent : this.t('results.none'))
+    }
+
+    /**
+     * Link pagination buttons
+     */
+    async linkPagination(searchResultPage) {
+        const pagination = document.getElementsByClassName("smart-search-pagination")[0]
+        if (!pagination) return
+
+        const paginationButtons = pagination.children
+
+        for (let button of paginationButtons) {
+            button.addEventListener("click", async (event) => {
+                const clickedButton = event.currentTarget
+                const pageNumber = Number(clickedButton.getAttribute("smart-search-page-value") || "0")
+                const previousPage = this._getPageNumber(searchResultPage)
+                const page = await this._request(() => searchResultPage.getPage(pageNumber))
+                if (!page) return
+
+                this.currentPage = page
+                this.renderSearchResults(page)
+                this.updateResultsInfo(page, this.currentQuery)
+                this._writeUrlState(page)
+                this.emit('pageChange', {
+                    page: this._getPageNumber(page),
+                    previousPage,
+                    mode: 'numbered'
+                })
+
+                if (this.config.features.smoothScrolling) {
+                    window.scrollTo({ top: 0, behavior: 'smooth' })
+                }
+            })
+        }
+    }
+
+    /**
+     * Show empty state
+     */
+    showEmptyState() {
+        const searchResults = document.getElementById("search-results")
+        if (searchResults) {
+            searchResults.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">${this.config.ui.emptyStateIcon}</div>
+                    <div class="empty-state-text">${this.config.ui.emptyStateMessage || this.t('results.emptyState')}</div>
+                </div>
+            `
+        }
+
+        const resultsInfo = document.getElementById("results-info")
+        if (resultsInfo) {
+            resultsInfo.innerHTML = ''
+        }
+
+        this.renderActiveFilters(null)
+        this._toggleResultsControls(false)
+    }
+
+    /**
+     * Show error state
+     */
+    showErrorState(error) {
+        const searchResults = document.getElementById("search-results")
+        if (searchResults) {
+            searchResults.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">${this.config.ui.errorStateIcon}</div>
+                    <div class="empty-state-text">${this.t('results.error')}</div>
+                    <p style="margin-top: 1rem; color: var(--text-tertiary); font-size: 0.875rem;">${this.escapeHTML(error.message || this.t('results.errorHint'))}</p>
+                </div>
+            `
+        }
+    }
+
+    /**
+     * Open field inspector sidebar
+     * Lists every field of the result with a filter box, copy buttons, a raw JSON view,
+     * the result's highlight snippets and the resultFields mappings that use each field.
+     * @param {Object} result - Raw result document
+     * @param {Object} highlights - Highlight snippets of the result (field -> snippets)
+     */
+    openFieldsSidebar(result, highlights = {}) {
+        // Remove existing sidebar
+        const existingSidebar = document.getElementById('fields-sidebar')
+        if (existingSidebar) {
+            existingSidebar.remove()
+        }
+        document.getElementById('fields-sidebar-backdrop')?.remove()
+
+        const esc = (value) => this.escapeHTML(value)
+        const mappings = this._getFieldMappings(result)
+        const highlightEntries = Object.entries(highlights || {}).filter(([, snippets]) => snippets && snippets.length > 0)
+
+        const formatValue = (value) => {
+            if (Array.isArray(value)) return value.join(', ')
+            if (typeof value === 'object' && value !== null) return JSON.stringify(value, null, 2)
+            return value
+        }
+
+        // Badges for the resultFields roles a field is listed for
+        const mappingBadges = (key) => mappings
+            .filter(mapping => mapping.candidates.includes(key))
+            .map(mapping => {
+                const active = mapping.field === key
+                const label = this.t(active ? 'fields.mappedTo' : 'fields.candidate', { role: mapping.role })
+                const style = active
+                    ? 'background: #dbeafe; color: #1d4ed8;'
+                    : 'background: #f3f4f6; color: #9ca3af; text-decoration: line-through;'
+                return `<span class="field-mapping-badge" title="${esc(label)}" aria-label="${esc(label)}" style="${style} font-size: 0.6875rem; font-weight: 600; padding: 0.125rem 0.5rem; border-radius: 9999px; text-transform: none; letter-spacing: 0;">${esc(mapping.role)}</span>`
+            }).join('')
+
+        const copyButtonStyle = 'background: none; border: 1px solid #e5e7eb; border-radius: 0.375rem; padding: 0.125rem 0.5rem; font-size: 0.6875rem; color: #6b7280; cursor: pointer;'
+        const toggleStyle = 'padding: 0.375rem 0.75rem; border: 1px solid #d1d5db; font-size: 0.8125rem; cursor: pointer;'
+
+        // Create backdrop
+        const backdrop = document.createElement('div')
+        backdrop.id = 'fields-sidebar-backdrop'
+        backdrop.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0, 0, 0, 0.5); z-index: 99998; opacity: 0; transition: opacity 0.3s ease;'
+
+        // Create sidebar
+        const sidebar = document.createElement('div')
+        sidebar.id = 'fields-sidebar'
+        sidebar.setAttribute('role', 'dialog')
+        sidebar.setAttribute('aria-modal', 'true')
+        sidebar.setAttribute('aria-labelledby', 'fields-sidebar-title')
+        sidebar.tabIndex = -1
+        sidebar.style.cssText = 'position: fixed; top: 0; right: -560px; width: 560px; max-width: 90vw; height: 100vh; background: white; z-index: 99999; box-shadow: -4px 0 20px rgba(0, 0, 0, 0.15); transition: right 0.3s ease; display: flex; flex-direction: column;'
+
+        // Build sidebar content
+        sidebar.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 1.5rem; border-bottom: 1px solid #e5e7eb; background: #f9fafb;">
+                <h3 id="fields-sidebar-title" style="font-size: 1.125rem; font-weight: 600; color: #1f2937; margin: 0;">${this.t('fields.title')}</h3>
+                <button id="close-sidebar" style="background: none; border: none; font-size: 1.5rem; color: #6b7280; cursor: pointer; width: 2.5rem; height: 2.5rem; display: flex; align-items: center; justify-content: center; border-radius: 0.375rem; transition: background 0.15s;" aria-label="${this.t('dialog.close')}" data-i18n-aria-label="dialog.close">×</button>
+            </div>
+            <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; padding: 1rem 1.5rem; border-bottom: 1px solid #e5e7eb;">
+                <input type="search" id="fields-filter" placeholder="${esc(this.t('fields.filter'))}" aria-label="${esc(this.t('fields.filter'))}" style="flex: 1; min-width: 10rem; padding: 0.5rem 0.75rem; border: 1px solid #d1d5db; border-radius: 0.375rem; font-size: 0.875rem;">
+                <div role="group" aria-label="${esc(this.t('fields.view'))}" style="display: flex;">
+                    <button type="button" class="fields-view-toggle" data-view="formatted" aria-pressed="true" style="${toggleStyle} border-radius: 0.375rem 0 0 0.375rem; background: #2563eb; color: white;">${this.t('fields.formatted')}</button>
+                    <button type="button" class="fields-view-toggle" data-view="raw" aria-pressed="false" style="${toggleStyle} border-left: none; border-radius: 0 0.375rem 0.375rem 0; background: white; color: #374151;">${this.t('fields.raw')}</button>
+                </div>
+                <button type="button" id="copy-document" data-copy-label="${esc(this.t('fields.copyDocument'))}" style="${toggleStyle} border-radius: 0.375rem; background: white; color: #374151;">${this.t('fields.copyDocument')}</button>
+            </div>
+            <div style="flex: 1; overflow-y: auto; padding: 1.5rem;">
+                <div id="fields-formatted">
+                    <details style="margin-bottom: 1.5rem; font-size: 0.8125rem; color: #374151;">
+                        <summary style="cursor: pointer; font-weight: 600; color: #6b7280; font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.025em;">${this.t('fields.mappings')}</summary>
+                        <table style="width: 100%; margin-top: 0.5rem; border-collapse: collapse;">
+                            ${mappings.map(mapping => `
+                                <tr style="border-bottom: 1px solid #f3f4f6;">
+                                    <th scope="row" style="text-align: left; padding: 0.375rem 0; font-weight: 600; width: 6rem;">${esc(mapping.role)}</th>
+                                    <td style="padding: 0.375rem 0; font-family: 'Courier New', monospace;">${mapping.field ? esc(mapping.field) : `<span style="color: #b45309;">${this.t('fields.fallback', { candidates: esc(mapping.candidates.join(', ') || '-') })}</span>`}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    </details>
+                    ${highlightEntries.length > 0 ? `
+                        <section style="margin-bottom: 1.5rem;">
+                            <h4 style="font-weight: 600; color: #6b7280; font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.025em; margin: 0 0 0.5rem;">${this.t('fields.highlights')}</h4>
+                            ${highlightEntries.map(([key, snippets]) => `
+                                <div class="field-highlight" style="margin-bottom: 0.75rem;">
+                                    <div style="font-size: 0.75rem; color: #6b7280; margin-bottom: 0.25rem;">${esc(key)}</div>
+                                    ${[].concat(snippets).map(snippet => `
+                                        <div style="color: #1f2937; font-size: 0.8125rem; line-height: 1.6; padding: 0.5rem 0.75rem; background: #fefce8; border-radius: 0.5rem; border-left: 3px solid #eab308; margin-bottom: 0.25rem;">${this.sanitizeHighlight(snippet)}</div>
+                                    `).join('')}
+                                </div>
+                            `).join('')}
+                        </section>
+                    ` : ''}
+                    ${Object.entries(result).map(([key, value]) => {
+                        const displayValue = formatValue(value)
+                        return `
+                            <div class="field-row" data-field="${esc(key)}" style="margin-bottom: 1.5rem;">
+                                <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 0.375rem; font-weight: 600; color: #6b7280; font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.025em; margin-bottom: 0.5rem;">
+                                    <span>${esc(key)}</span>
+                                    ${mappingBadges(key)}
+                                    <button type="button" class="copy-field" data-copy-field="${esc(key)}" data-copy-label="${esc(this.t('fields.copy'))}" aria-label="${esc(this.t('fields.copyField', { field: key }))}" style="${copyButtonStyle} margin-left: auto; text-transform: none; letter-spacing: 0;">${this.t('fields.copy')}</button>
+                                </div>
+                                <div style="color: #1f2937; font-family: 'Courier New', monospace; font-size: 0.8125rem; line-height: 1.6; padding: 0.75rem; background: #f9fafb; border-radius: 0.5rem; border-left: 3px solid ${mappings.some(mapping => mapping.field === key) ? '#2563eb' : '#d1d5db'}; word-break: break-all; white-space: pre-wrap;">${esc(displayValue || this.t('fields.empty'))}</div>
+                            </div>
+                        `
+                    }).join('')}
+                    <p id="fields-no-match" hidden style="color: #6b7280; text-align: center;">${this.t('fields.noMatch')}</p>
+                </div>
+                <pre id="fields-raw" hidden style="margin: 0; color: #1f2937; font-family: 'Courier New', monospace; font-size: 0.8125rem; line-height: 1.6; padding: 0.75rem; background: #f9fafb; border-radius: 0.5rem; white-space: pre-wrap; word-break: break-all;"></pre>
+            </div>
+        `
+
+        document.body.appendChild(backdrop)
+        document.body.appendChild(sidebar)
+
+        // Animate in
+        setTimeout(() => {
+            backdrop.style.opacity = '1'
+            sidebar.style.right = '0'
+        }, 10)
+
+        // Close handlers
+        let releaseFocus = null
+        const closeSidebar = () => {
+            if (!releaseFocus) return
+            releaseFocus()
+            releaseFocus = null
+
+            backdrop.style.opacity = '0'
+            sidebar.style.right = '-560px'
+            setTimeout(() => {
+                backdrop.remove()
+                sidebar.remove()
+            }, 300)
+        }
+
+        document.getElementById('close-sidebar').addEventListener('click', closeSidebar)
+        backdrop.addEventListener('click', closeSidebar)
+
+        // Filter over field names and values, both views show the matching fields only
+        const filterInput = sidebar.querySelector('#fields-filter')
+        const formatted = sidebar.querySelector('#fields-formatted')
+        const raw = sidebar.querySelector('#fields-raw')
+
+        const getMatchingFields = () => {
+            const term = filterInput.value.trim().toLowerCase()
+            return Object.keys(result).filter(key => !term ||
+                key.toLowerCase().includes(term) ||
+                String(formatValue(result[key]) ?? '').toLowerCase().includes(term))
+        }
+
+        const applyFilter = () => {
+            const matching = getMatchingFields()
+            sidebar.querySelectorAll('.field-row').forEach(row => {
+                row.hidden = !matching.includes(row.dataset.field)
+            })
+            sidebar.querySelector('#fields-no-match').hidden = matching.length > 0
+
+            const filtered = Object.fromEntries(matching.map(key => [key, result[key]]))
+            raw.textContent = JSON.stringify(filtered, null, 2)
+        }
+
+        filterInput.addEventListener('input', applyFilter)
+        applyFilter()
+
+        sidebar.querySelectorAll('.fields-view-toggle').forEach(toggle => {
+            toggle.addEventListener('click', () => {
+                const showRaw = toggle.dataset.view === 'raw'
+                formatted.hidden = showRaw
+                raw.hidden = !showRaw
+
+                sidebar.querySelectorAll('.fields-view-toggle').forEach(button => {
+                    const active = button === toggle
+                    button.setAttribute('aria-pressed', String(active))
+                    button.style.background = active ? '#2563eb' : 'white'
+                    button.style.color = active ? 'white' : '#374151'
+                })
+            })
+        })
+
+        // Copy buttons confirm with a short label change
+        const copy = async (button, text) => {
+            try {
+                await navigator.clipboard.writeText(text)
+                button.textContent = this.t('fields.copied')
+                this.announce(this.t('fields.copied'))
+            } catch (error) {
+                console.error('Clipboard error:', error)
+                button.textContent = this.t('fields.copyFailed')
+            }
+            setTimeout(() => { button.textContent = button.dataset.copyLabel }, 1500)
+        }
+
+        sidebar.querySelector('#copy-document').addEventListener('click', (event) => {
+            copy(event.currentTarget, JSON.stringify(result, null, 2))
+        })
+
+        sidebar.querySelectorAll('.copy-field').forEach(button => {
+            button.addEventListener('click', () => {
+                const value = result[button.dataset.copyField]
+                copy(button, Array.isArray(value) ? value.join('\n') : String(formatValue(value) ?? ''))
+            })
+        })
+
+        releaseFocus = this._trapFocus(sidebar, closeSidebar)
+    }
+
+    /**
+     * Resolve which result field each resultFields mapping uses for a result
+     * @param {Object} result - Raw result document
+     * @returns {Array<Object>} { role, candidates (configured fields), field (the one with a value, null = fallback) }
+     */
+    _getFieldMappings(result) {
+        return Object.entries(this.config.resultFields).map(([role, fieldConfig]) => {
+            const candidates = fieldConfig.field ? [fieldConfig.field] : (fieldConfig.fields || [])
+            const field = candidates.find(candidate => result[candidate]) || null
+            return { role, candidates, field }
+        })
+    }
+
+    /**
+     * Open a modal dialog with a title bar and a close button
+     * Adds the backdrop, animates the dialog in and traps the focus. The close button,
+     * a click on the backdrop and Escape close it. Callers append their content to the dialog.
+     * @param {Object} options
+     * @param {string} options.id - Dialog id; the title is '<id>-title', the close button 'close-<id>'
+     * @param {string} options.title - Message key of the title
+     * @param {string} options.width - CSS width, e.g. '900px'
+     * @param {string} options.subtitle - Optional line below the title (trusted HTML)
+     * @returns {Object} { modal, close } The dialog element and the function closing it
+     */
+    _openDialog({ id, title, width, subtitle = '' }) {
+        // Create backdrop
+        const backdrop = document.createElement('div')
+        backdrop.id = `${id}-backdrop`
+        backdrop.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0, 0, 0, 0.5); z-index: 100000; display: flex; align-items: center; justify-content: center; opacity: 0; transition: opacity 0.3s ease;'
+
+        // Create modal
+        const modal = document.createElement('div')
+        modal.id = id
+        modal.setAttribute('role', 'dialog')
+        modal.setAttribute('aria-modal', 'true')
+        modal.setAttribute('aria-labelledby', `${id}-title`)
+        modal.tabIndex = -1
+        modal.style.cssText = `background: white; border-radius: 12px; box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.3); width: ${width}; max-width: 95vw; max-height: 90vh; display: flex; flex-direction: column; overflow: hidden; transform: scale(0.9); transition: transform 0.3s ease;`
+
+        modal.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 1.5rem; border-bottom: 1px solid #e5e7eb; background: #f9fafb;">
+                <div>
+                    <h3 id="${id}-title" style="font-size: 1.25rem; font-weight: 600; color: #1f2937; margin: 0;" data-i18n="${title}">${this.t(title)}</h3>
+                    ${subtitle ? `<p style="margin: 0.25rem 0 0; font-size: 0.75rem; color: #6b7280;">${subtitle}</p>` : ''}
+                </div>
+                <button id="close-${id}" style="background: none; border: none; font-size: 1.5rem; color: #6b7280; cursor: pointer; width: 2.5rem; height: 2.5rem; display: flex; align-items: center; justify-content: center; border-radius: 0.375rem; transition: background 0.15s;" aria-label="${this.t('dialog.close')}" data-i18n-aria-label="dialog.close">×</button>
+            </div>
+        `
+
+        backdrop.appendChild(modal)
+        document.body.appendChild(backdrop)
+
+        // Animate in
+        setTimeout(() => {
+            backdrop.style.opacity = '1'
+            modal.style.transform = 'scale(1)'
+        }, 10)
+
+        // Close handlers
+        let releaseFocus = null
+        const close = () => {
+            if (!releaseFocus) return
+            releaseFocus()
+            releaseFocus = null
+
+            backdrop.style.opacity = '0'
+            modal.style.transform = 'scale(0.9)'
+            setTimeout(() => backdrop.remove(), 300)
+        }
+
+        modal.querySelector(`#close-${id}`).addEventListener('click', close)
+        backdrop.addEventListener('click', (e) => {
+            if (e.target === backdrop) close()
+        })
+
+        releaseFocus = this._trapFocus(modal, close)
+
+        return { modal, close }
+    }
+
+    /**
+     * Make an overlay behave as a modal dialog for keyboard users
+     * Focuses its first control, keeps Tab inside, closes on Escape and
+     * returns focus to the previously focused element when released.
+     * @param {HTMLElement} dialog - Dialog element
+     * @param {Function} onClose - Called when Escape is pressed
+     * @returns {Function} Release function, call it when the dialog closes
+     */
+    _trapFocus(dialog, onClose) {
+        const previouslyFocused = document.activeElement
+        const focusableSelector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+        const getFocusable = () => Array.from(dialog.querySelectorAll(focusableSelector))
+
+        const onKeydown = (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault()
+                onClose()
+                return
+            }
+
+            if (event.key !== 'Tab') return
+
+            const focusable = getFocusable()
+            if (focusable.length === 0) {
+                event.preventDefault()
+                dialog.focus()
+                return
+            }
+
+            const first = focusable[0]
+            const last = focusable[focusable.length - 1]
+
+            if (!dialog.contains(document.activeElement)) {
+                event.preventDefault()
+                first.focus()
+            } else if (event.shiftKey && document.activeElement === first) {
+                event.preventDefault()
+                last.focus()
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault()
+                first.focus()
+            }
+        }
+
+        document.addEventListener('keydown', onKeydown)
+
+        const focusable = getFocusable()
+        ;(focusable[0] || dialog).focus()
+
+        return () => {
+            document.removeEventListener('keydown', onKeydown)
+            if (previouslyFocused && typeof previouslyFocused.focus === 'function') {
+                previouslyFocused.focus()
+            }
+        }
+    }
+
+    /**
+     * Announce a message to screen readers through a polite live region
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        let region = document.getElementById('search-announcer')
+
+        if (!region) {
+            region = document.createElement('div')
+            region.id = 'search-announcer'
+            region.className = 'sr-only'
+            region.setAttribute('role', 'status')
+            region.setAttribute('aria-live', 'polite')
+            region.setAttribute('aria-atomic', 'true')
+            document.body.appendChild(region)
+        }
+
+        // Clear first so that a repeated message is announced again
+        region.textContent = ''
+        setTimeout(() => {
+            region.textContent = String(message || '').replace(/\s+/g, ' ').trim()
+        }, 50)
+    }
+
+    /**
+     * Move focus between result cards with the arrow keys (Home/End jump to the first/last card)
+     */
+    _initResultKeyboardNavigation() {
+        const container = document.getElementById("search-results")
+        if (!container) return
+
+        container.addEventListener('keydown', (event) => {
+            const keys = ['ArrowDown', 'ArrowRight', 'ArrowUp', 'ArrowLeft', 'Home', 'End']
+            if (!keys.includes(event.key) || event.altKey || event.ctrlKey || event.metaKey) return
+            if (event.target.closest('input, select, textarea')) return
+
+            const cards = Array.from(container.querySelectorAll('[data-result-card]'))
+            const current = cards.findIndex(card => card.contains(event.target))
+            if (current === -1) return
+
+            let next = current
+            if (event.key === 'ArrowDown' || event.key === 'ArrowRight') next = Math.min(current + 1, cards.length - 1)
+            if (event.key === 'ArrowUp' || event.key === 'ArrowLeft') next = Math.max(current - 1, 0)
+            if (event.key === 'Home') next = 0
+            if (event.key === 'End') next = cards.length - 1
+
+            event.preventDefault()
+            if (next !== current) {
+                this._focusResultCard(cards[next])
+            }
+        })
+    }
+
+    /**
+     * Focus the main link of a result card (or the card itself)
+     */
+    _focusResultCard(card) {
+        const target = card.matches('a[href]') ? card : card.querySelector('a[href]')
+
+        if (target) {
+            target.focus()
+        } else {
+            card.tabIndex = -1
+            card.focus()
+        }
+    }
+
+    /**
+     * Initialize settings button
+     */
+    _initSettingsButton() {
+        // Will be initialized after DOM loads
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this._setupSettingsButton())
+        } else {
+            this._setupSettingsButton()
+        }
+    }
+
+    _setupSettingsButton() {
+        const settingsBtn = document.getElementById('settings-btn')
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => this.openSettingsModal())
+        }
+    }
+
+    /**
+     * Get the recent queries, newest first
+     * @returns {Array<string>}
+     */
+    getRecentSearches() {
+        return this._readStoredList(this.config.history.localStorageKeys.recent)
+    }
+
+    /**
+     * Forget all recent queries
+     */
+    clearRecentSearches() {
+        localStorage.removeItem(this.config.history.localStorageKeys.recent)
+        this._renderSearchHistory()
+    }
+
+    /**
+     * Get the saved searches, newest first
+     * @returns {Array<Object>} { name, state, savedAt }
+     */
+    getSavedSearches() {
+        return this._readStoredList(this.config.history.localStorageKeys.saved)
+    }
+
+    /**
+     * Save the current query with its facet, date, sort and page size state under a name
+     * A saved search with the same name is replaced.
+     * @param {string} name - Name shown in the saved searches list
+     * @returns {Object|null} The saved search
+     */
+    saveSearch(name) {
+        name = (name || '').trim()
+        if (!name || !this.currentPage || !this.currentQuery) return null
+
+        // Saved searches always start at the first page
+        const saved = {
+            name,
+            state: { ...this._captureState(this.currentPage), page: 1 },
+            savedAt: new Date().toISOString()
+        }
+
+        const searches = this.getSavedSearches().filter(search => search.name !== name)
+        this._writeStoredList(this.config.history.localStorageKeys.saved, [saved, ...searches])
+
+        this.announce(this.t('history.savedAnnouncement', { name }))
+        this._renderSearchHistory()
+        return saved
+    }
+
+    /**
+     * Delete a saved search
+     * @param {string} name - Name of the saved search
+     */
+    removeSavedSearch(name) {
+        const searches = this.getSavedSearches().filter(search => search.name !== name)
+        this._writeStoredList(this.config.history.localStorageKeys.saved, searches)
+        this._renderSearchHistory()
+    }
+
+    /**
+     * Run a saved search with its full state (facets, date, sort, page size)
+     * @param {string} name - Name of the saved search
+     */
+    async restoreSavedSearch(name) {
+        const saved = this.getSavedSearches().find(search => search.name === name)
+        if (!saved) return
+
+        this._closeSearchHistory()
+        this._resetSearchParams()
+
+        if (this.searchbar) {
+            this.searchbar.value = saved.state.query
+        }
+
+        const page = await this._request(requestId => this._restoreState(saved.state, requestId))
+
+        if (page) {
+            this._renderPage(page)
+            this._writeUrlState(page)
+            this._trackSearch(page, 'saved')
+        }
+    }
+
+    /**
+     * Remember a query as the most recent one
+     */
+    _addRecentSearch(query) {
+        query = (query || '').trim()
+        if (!query) return
+
+        const recent = this.getRecentSearches().filter(entry => entry.toLowerCase() !== query.toLowerCase())
+        recent.unshift(query)
+
+        this._writeStoredList(this.config.history.localStorageKeys.recent, recent.slice(0, this.config.history.maxRecent))
+    }
+
+    /**
+     * Read a JSON array from localStorage ([] if missing or invalid)
+     */
+    _readStoredList(key) {
+        try {
+            const list = JSON.parse(localStorage.getItem(key))
+            return Array.isArray(list) ? list : []
+        } catch (error) {
+            return []
+        }
+    }
+
+    /**
+     * Write a JSON array to localStorage
+     */
+    _writeStoredList(key, list) {
+        try {
+            localStorage.setItem(key, JSON.stringify(list))
+        } catch (error) {
+            console.warn('[SmartSearchUI] Could not store search history:', error)
+        }
+    }
+
+    /**
+     * Attach the recent/saved searches dropdown to the search bar
+     * Opens on focus of the empty search bar and with the bookmark button next to it.
+     */
+    _initSearchHistory() {
+        if (!this.config.history.enabled || !this.searchbar || !this.searchbar.parentNode) return
+
+        const inputGroup = this.searchbar.parentNode
+
+        const panel = document.createElement('div')
+        panel.id = 'search-history'
+        panel.className = 'search-history'
+        panel.hidden = true
+        inputGroup.appendChild(panel)
+
+        const toggle = document.createElement('button')
+        toggle.type = 'button'
+        toggle.id = 'search-history-btn'
+        toggle.className = 'search-history-toggle'
+        toggle.setAttribute('aria-label', this.t('history.toggle'))
+        toggle.title = this.t('history.toggle')
+        toggle.dataset.i18nAriaLabel = 'history.toggle'
+        toggle.dataset.i18nTitle = 'history.toggle'
+        toggle.setAttribute('aria-controls', panel.id)
+        toggle.setAttribute('aria-expanded', 'false')
+        toggle.innerHTML = '<i class="fas fa-bookmark" aria-hidden="true"></i>'
+        inputGroup.insertBefore(toggle, inputGroup.querySelector('.search-button'))
+
+        toggle.addEventListener('click', () => {
+            if (panel.hidden) {
+                this._openSearchHistory()
+            } else {
+                this._closeSearchHistory()
+            }
+        })
+
+        this.searchbar.addEventListener('focus', () => {
+            if (!this.searchbar.value) this._openSearchHistory()
+        })
+
+        // Typing switches over to the autocomplete suggestions
+        this.searchbar.addEventListener('input', () => {
+            if (this.searchbar.value) {
+                this._closeSearchHistory()
+            } else {
+                this._openSearchHistory()
+            }
+        })
+
+        this.searchbar.addEventListener('keydown', (event) => {
+            if (panel.hidden) return
+
+            if (event.key === 'Escape') {
+                this._closeSearchHistory()
+            } else if (event.key === 'ArrowDown') {
+                const first = panel.querySelector('.search-history-item')
+                if (first) {
+                    event.preventDefault()
+                    first.focus()
+                }
+            }
+        })
+
+        panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                // Focus first, the focus handler would reopen the dropdown
+                this.searchbar.focus()
+                this._closeSearchHistory()
+                return
+            }
+
+            if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return
+
+            const items = Array.from(panel.querySelectorAll('.search-history-item'))
+            const current = items.indexOf(document.activeElement)
+            if (current === -1) return
+
+            event.preventDefault()
+            if (event.key === 'ArrowUp' && current === 0) {
+                this.searchbar.focus()
+            } else {
+                items[Math.min(Math.max(current + (event.key === 'ArrowDown' ? 1 : -1), 0), items.length - 1)].focus()
+            }
+        })
+
+        panel.addEventListener('click', (event) => {
+            const recent = event.target.closest('[data-recent-query]')
+            const saved = event.target.closest('[data-saved-search]')
+            const remove = event.target.closest('[data-remove-saved]')
+
+            if (remove) {
+                this.removeSavedSearch(remove.dataset.removeSaved)
+            } else if (saved) {
+                this.restoreSavedSearch(saved.dataset.savedSearch)
+            } else if (recent) {
+                this._closeSearchHistory()
+                this.searchbar.value = recent.dataset.recentQuery
+
+                if (this.config.features.inPageSearch) {
+                    this.submitSearch(recent.dataset.recentQuery)
+                } else {
+                    document.getElementById("search-form").submit()
+                }
+            } else if (event.target.closest('[data-clear-history]')) {
+                this.clearRecentSearches()
+            }
+        })
+
+        // Close when focus or clicks leave the search bar
+        document.addEventListener('click', (event) => {
+            if (!inputGroup.contains(event.target)) this._closeSearchHistory()
+        })
+        inputGroup.addEventListener('focusout', (event) => {
+            if (event.relatedTarget && !inputGroup.contains(event.relatedTarget)) this._closeSearchHistory()
+        })
+    }
+
+    /**
+     * Show the recent/saved searches dropdown
+     */
+    _openSearchHistory() {
+        const panel = document.getElementById('search-history')
+        if (!panel) return
+
+        this._renderSearchHistory()
+        panel.hidden = false
+        document.getElementById('search-history-btn')?.setAttribute('aria-expanded', 'true')
+    }
 
-        results.forEach((resultWrapper, index) => {
-            const result = resultWrapper.result
-            const highlights = resultWrapper.highlights
+    /**
+     * Hide the recent/saved searches dropdown
+     */
+    _closeSearchHistory() {
+        const panel = document.getElementById('search-history')
+        if (!panel || panel.hidden) return
 
-            const html = this.config.resultTemplate(result, highlights, this)
+        panel.hidden = true
+        document.getElementById('search-history-btn')?.setAttribute('aria-expanded', 'false')
+    }
 
-            const article = document.createElement('article')
-            article.className = 'result-card'
-            article.innerHTML = html
+    /**
+     * Render the recent and saved searches into the dropdown
+     */
+    _renderSearchHistory() {
+        const panel = document.getElementById('search-history')
+        if (!panel) return
+
+        const esc = (value) => this.escapeHTML(value)
+        const recent = this.getRecentSearches()
+        const saved = this.getSavedSearches()
+
+        const filterCount = (state) => Object.values(state.facets || {}).reduce((count, values) => count + values.length, 0) +
+            (state.presetDays || state.startDate || state.endDate ? 1 : 0)
+
+        panel.innerHTML = `
+            <div class="search-history-section">
+                <div class="search-history-header">
+                    <span class="search-history-title">${this.t('history.recent')}</span>
+                    ${recent.length > 0 ? `<button type="button" class="search-history-clear" data-clear-history>${this.t('history.clear')}</button>` : ''}
+                </div>
+                ${recent.length > 0 ? `
+                    <ul class="search-history-list">
+                        ${recent.map(query => `
+                            <li><button type="button" class="search-history-item" data-recent-query="${esc(query)}">${esc(query)}</button></li>
+                        `).join('')}
+                    </ul>
+                ` : `<p class="search-history-empty">${this.t('history.noRecent')}</p>`}
+            </div>
+            <div class="search-history-section">
+                <div class="search-history-header">
+                    <span class="search-history-title">${this.t('history.saved')}</span>
+                </div>
+                ${saved.length > 0 ? `
+                    <ul class="search-history-list">
+                        ${saved.map(search => `
+                            <li class="search-history-saved">
+                                <button type="button" class="search-history-item" data-saved-search="${esc(search.name)}">
+                                    <span class="search-history-name">${esc(search.name)}</span>
+                                    <span class="search-history-meta">${this.t('history.savedMeta', { count: filterCount(search.state), query: esc(search.state.query) })}</span>
+                                </button>
+                                <button type="button" class="search-history-remove" data-remove-saved="${esc(search.name)}" aria-label="${esc(this.t('history.remove', { name: search.name }))}">×</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : `<p class="search-history-empty">${this.t('history.noSaved')}</p>`}
+            </div>
+        `
+    }
 
-            container.appendChild(article)
+    /**
+     * Render the "Save search" button into the results header
+     */
+    _initSaveSearchButton() {
+        const container = document.getElementById("results-controls")
+        if (!container || !this.config.history.enabled || document.getElementById("save-search-btn")) return
+
+        const wrapper = document.createElement("div")
+        wrapper.className = "results-control save-search-control"
+        wrapper.innerHTML = `
+            <button type="button" id="save-search-btn" class="results-control-button save-search-btn">
+                <i class="far fa-bookmark" aria-hidden="true"></i>
+                ${this.t('history.save')}
+            </button>
+        `
+
+        wrapper.querySelector("button").addEventListener("click", () => {
+            const name = window.prompt(this.t('history.saveName'), this.currentQuery || '')
+            if (name) this.saveSearch(name)
         })
+
+        container.appendChild(wrapper)
     }
 
     /**
-     * Render default result cards
+     * Render the export menu and its progress indicator into the results header
      */
-    _renderDefaultCards(page, container) {
-        const results = page.searchResults || []
+    _initExportControl() {
+        const container = document.getElementById("results-controls")
+        if (!container || !this.config.export.enabled || document.getElementById("export-results-btn")) return
+
+        const limit = this.t('export.limit', { max: this.config.export.maxResults })
+
+        const wrapper = document.createElement("div")
+        wrapper.className = "results-control export-control"
+        wrapper.innerHTML = `
+            <button type="button" id="export-results-btn" class="results-control-button" aria-haspopup="true" aria-expanded="false" aria-controls="export-menu">
+                <i class="fas fa-download" aria-hidden="true"></i>
+                ${this.t('export.button')}
+            </button>
+            <div id="export-menu" class="export-menu" role="menu" hidden>
+                <button type="button" role="menuitem" class="export-menu-item" data-export="csv">
+                    ${this.t('export.csv')}
+                    <span class="export-menu-hint">${limit}</span>
+                </button>
+                <button type="button" role="menuitem" class="export-menu-item" data-export="json">
+                    ${this.t('export.json')}
+                    <span class="export-menu-hint">${limit}</span>
+                </button>
+                <button type="button" role="menuitem" class="export-menu-item" data-export="clipboard">${this.t('export.clipboard')}</button>
+            </div>
+            <div class="export-progress" hidden>
+                <progress class="export-progress-bar" max="1" value="0"></progress>
+                <span class="export-progress-text"></span>
+                <button type="button" class="export-cancel">${this.t('export.cancel')}</button>
+            </div>
+        `
 
-        results.forEach((resultWrapper, index) => {
-            const result = resultWrapper.result
-            const highlights = resultWrapper.highlights
+        const button = wrapper.querySelector("#export-results-btn")
+        const menu = wrapper.querySelector("#export-menu")
+        const progress = wrapper.querySelector(".export-progress")
+        const progressBar = wrapper.querySelector(".export-progress-bar")
+        const progressText = wrapper.querySelector(".export-progress-text")
 
-            // Check if theme provides custom rendering
-            if (this.currentTheme?.components?.renderResultCard) {
-                const html = this.currentTheme.components.renderResultCard(result, highlights, this)
-                const cardElement = this._htmlToElement(html)
-                cardElement.className = cardElement.className || 'result-card'
+        const toggleMenu = (open) => {
+            menu.hidden = !open
+            button.setAttribute("aria-expanded", String(open))
+            if (open) menu.querySelector(".export-menu-item").focus()
+        }
 
-                // Attach theme's event handlers if provided
-                if (this.currentTheme.eventHandlers?.attachCardListeners) {
-                    this.currentTheme.eventHandlers.attachCardListeners(cardElement, result, this)
-                }
+        button.addEventListener("click", () => toggleMenu(menu.hidden))
 
-                container.appendChild(cardElement)
+        menu.addEventListener("keydown", (event) => {
+            const items = Array.from(menu.querySelectorAll(".export-menu-item"))
+            const current = items.indexOf(document.activeElement)
+
+            if (event.key === "Escape") {
+                toggleMenu(false)
+                button.focus()
+            } else if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+                event.preventDefault()
+                const step = event.key === "ArrowDown" ? 1 : -1
+                items[(current + step + items.length) % items.length].focus()
+            }
+        })
+
+        document.addEventListener("click", (event) => {
+            if (!wrapper.contains(event.target) && !menu.hidden) toggleMenu(false)
+        })
+
+        menu.addEventListener("click", async (event) => {
+            const item = event.target.closest("[data-export]")
+            if (!item) return
+
+            toggleMenu(false)
+
+            if (item.dataset.export === "clipboard") {
+                try {
+                    const count = await this.copyResultsToClipboard()
+                    this.announce(this.t('export.copied', { count }))
+                } catch (error) {
+                    console.error('Clipboard error:', error)
+                    this.announce(this.t('export.failed'))
+                }
                 return
             }
 
-            // Default rendering (fallback)
-            const resultCard = document.createElement('article')
-            resultCard.className = 'result-card'
+            // The progress indicator replaces the button until the export ends
+            button.hidden = true
+            progress.hidden = false
+            progressBar.value = 0
+            progressText.textContent = ''
+
+            try {
+                const result = await this.exportResults(item.dataset.export, {
+                    onProgress: (count, total) => {
+                        progressBar.value = total > 0 ? count / total : 1
+                        progressText.textContent = this.t('export.progress', { count, total })
+                    }
+                })
 
-            // Extract fields using config
-            const title = this.getField(result, 'title')
-            const link = this.getField(result, 'link')
-            const date = this.formatDate(result)
+                if (result) {
+                    this.announce(result.cancelled ? this.t('export.cancelled') : this.t('export.done', { count: result.count }))
+                }
+            } catch (error) {
+                console.error('Export error:', error)
+                this.announce(this.t('export.failed'))
+            } finally {
+                progress.hidden = true
+                button.hidden = false
+            }
+        })
 
-            // Get description with highlighting
-            let description = this.config.resultFields.description.fallback
-            if (this.config.resultFields.description.useHighlighting &&
-                highlights && highlights.content && highlights.content[0]) {
-                description = highlights.content[0]
-            } else {
-                description = this.getField(result, 'description')
+        wrapper.querySelector(".export-cancel").addEventListener("click", () => this.cancelExport())
+
+        container.appendChild(wrapper)
+    }
+
+    /**
+     * Add the analytics dashboard button next to the settings gear
+     */
+    _setupAnalyticsButton() {
+        if (document.getElementById('analytics-btn')) return
+
+        const button = document.createElement('button')
+        button.id = 'analytics-btn'
+        button.type = 'button'
+        button.className = 'settings-btn analytics-btn'
+        button.setAttribute('aria-label', this.t('dashboard.open'))
+        button.title = this.t('dashboard.open')
+        button.dataset.i18nAriaLabel = 'dashboard.open'
+        button.dataset.i18nTitle = 'dashboard.open'
+        button.innerHTML = '<i class="fas fa-chart-bar" aria-hidden="true"></i>'
+        button.addEventListener('click', () => this.openAnalyticsDashboard())
+
+        const settingsBtn = document.getElementById('settings-btn')
+        if (settingsBtn) {
+            settingsBtn.after(button)
+        } else {
+            document.body.prepend(button)
+        }
+    }
+
+    /**
+     * Open the local search analytics dashboard
+     */
+    async openAnalyticsDashboard() {
+        if (document.getElementById('analytics-dashboard')) return
+
+        const buttonStyle = 'padding: 0.625rem 1.25rem; background: #f3f4f6; color: #374151; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s;'
+
+        const { modal, close: closeModal } = this._openDialog({
+            id: 'analytics-dashboard',
+            title: 'dashboard.title',
+            width: '900px',
+            subtitle: this.t('dashboard.retention', { count: this.config.analytics.dashboard.retentionDays })
+        })
+
+        modal.insertAdjacentHTML('beforeend', `
+            <div id="analytics-dashboard-content" style="flex: 1; overflow-y: auto; padding: 1.5rem;">
+                <p style="color: #6b7280;">${this.t('dashboard.loading')}</p>
+            </div>
+            <div style="display: flex; gap: 0.75rem; justify-content: flex-end; padding: 1rem 1.5rem; border-top: 1px solid #e5e7eb;">
+                <button type="button" id="clear-analytics" style="${buttonStyle} margin-right: auto; color: #b91c1c;">${this.t('dashboard.clear')}</button>
+                <button type="button" id="export-analytics-csv" style="${buttonStyle}">${this.t('dashboard.exportCSV')}</button>
+                <button type="button" id="export-analytics-json" style="${buttonStyle}">${this.t('dashboard.exportJSON')}</button>
+            </div>
+        `)
+
+        modal.querySelector('#export-analytics-csv').addEventListener('click', () => this.exportAnalytics('csv'))
+        modal.querySelector('#export-analytics-json').addEventListener('click', () => this.exportAnalytics('json'))
+        modal.querySelector('#clear-analytics').addEventListener('click', async () => {
+            if (!window.confirm(this.t('dashboard.clearConfirm'))) return
+
+            if (this.analyticsStore) {
+                await this.analyticsStore.clear()
             }
+            await renderReport()
+        })
 
-            const language = this.getField(result, 'language') ||
-                           this.config.resultFields.language.default
+        const content = modal.querySelector('#analytics-dashboard-content')
+        const renderReport = async () => {
+            try {
+                content.innerHTML = this._renderAnalyticsReport(await this.getAnalyticsReport())
+            } catch (error) {
+                console.error('Analytics report error:', error)
+                content.innerHTML = `<p style="color: #b91c1c;">${this.escapeHTML(error.message)}</p>`
+            }
+        }
 
-            // Build card HTML
-            resultCard.innerHTML = `
-                ${this.config.features.fieldInspector ? `
-                <button class="result-menu-btn" data-result-index="${index}" aria-label="Show all fields" title="Show all fields">
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <circle cx="12" cy="12" r="1"></circle>
-                        <circle cx="12" cy="5" r="1"></circle>
-                        <circle cx="12" cy="19" r="1"></circle>
-                    </svg>
-                </button>
-                ` : ''}
-                <a href="${link}" target="_blank" rel="noopener noreferrer" class="result-link">
-                    <div class="result-header">
-                        <h2 class="result-title">${title}</h2>
-                    </div>
-                    <div class="result-content">
-                        <p class="result-description">${description}</p>
+        await renderReport()
+    }
+
+    /**
+     * Build the dashboard markup for an analytics report
+     */
+    _renderAnalyticsReport(report) {
+        const esc = (value) => this.escapeHTML(value)
+        const percent = (rate) => `${Math.round(rate * 1000) / 10}%`
+        const { totals } = report
+
+        if (totals.searches === 0) {
+            return `<p style="text-align: center; color: #6b7280; padding: 2rem 0;">${this.t('dashboard.empty')}</p>`
+        }
+
+        const cellStyle = 'padding: 0.375rem 0.5rem; border-bottom: 1px solid #f3f4f6; text-align: left;'
+        const headStyle = `${cellStyle} font-size: 0.75rem; font-weight: 600; color: #6b7280; text-transform: uppercase;`
+
+        const table = (headers, rows) => rows.length === 0
+            ? `<p style="color: #9ca3af; font-size: 0.875rem;">${this.t('dashboard.none')}</p>`
+            : `
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.875rem; color: #1f2937;">
+                    <thead><tr>${headers.map(header => `<th style="${headStyle}">${header}</th>`).join('')}</tr></thead>
+                    <tbody>${rows.map(row => `<tr>${row.map(value => `<td style="${cellStyle}">${value}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            `
+
+        const section = (title, body) => `
+            <section style="min-width: 0;">
+                <h4 style="font-size: 0.9375rem; font-weight: 600; color: #374151; margin: 0 0 0.75rem;">${title}</h4>
+                ${body}
+            </section>
+        `
+
+        const stat = (label, value) => `
+            <div style="padding: 1rem; background: #f9fafb; border-radius: 0.5rem;">
+                <div style="font-size: 1.5rem; font-weight: 700; color: #1f2937;">${value}</div>
+                <div style="font-size: 0.75rem; color: #6b7280;">${label}</div>
+            </div>
+        `
+
+        const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(this.config.resultFields.date.locale)
+        const facetName = (name) => esc(this.getFacetDisplayName(name))
+        const maxRate = Math.max(...report.clickThroughByRank.map(entry => entry.rate), 0)
+
+        const rankBars = report.clickThroughByRank.map(({ rank, clicks, rate }) => `
+            <div style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.8125rem; margin-bottom: 0.25rem;">
+                <span style="width: 2rem; color: #6b7280;">#${rank}</span>
+                <div style="flex: 1; background: #f3f4f6; border-radius: 0.25rem; height: 0.875rem;">
+                    <div style="width: ${maxRate ? (rate / maxRate) * 100 : 0}%; height: 100%; background: #2563eb; border-radius: 0.25rem;"></div>
+                </div>
+                <span style="width: 6rem; text-align: right; color: #374151;">${percent(rate)} (${clicks})</span>
+            </div>
+        `).join('')
+
+        return `
+            <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.75rem; margin-bottom: 1.5rem;">
+                ${stat(this.t('dashboard.searches'), totals.searches)}
+                ${stat(this.t('dashboard.zeroResultRate'), percent(totals.zeroResultSearches / totals.searches))}
+                ${stat(this.t('dashboard.clicks'), totals.clicks)}
+                ${stat(this.t('dashboard.clickThroughRate'), percent(totals.clickThroughRate))}
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 1.5rem;">
+                ${section(this.t('dashboard.topQueries'), table(
+                    [this.t('dashboard.query'), this.t('dashboard.count'), this.t('dashboard.averageResults')],
+                    report.topQueries.map(entry => [esc(entry.query), entry.count, entry.averageResults])
+                ))}
+                ${section(this.t('dashboard.zeroResultQueries'), table(
+                    [this.t('dashboard.query'), this.t('dashboard.count'), this.t('dashboard.lastSearched')],
+                    report.zeroResultQueries.map(entry => [esc(entry.query), entry.count, esc(formatDate(entry.lastSearched))])
+                ))}
+                ${section(this.t('dashboard.ctrByRank'), rankBars)}
+                ${section(this.t('dashboard.topFacets'), table(
+                    [this.t('dashboard.facet'), this.t('dashboard.count'), this.t('dashboard.topValues')],
+                    report.topFacets.map(entry => [
+                        facetName(entry.facet),
+                        entry.count,
+                        entry.topValues.map(({ value, count }) => `${esc(value)} (${count})`).join(', ')
+                    ])
+                ))}
+            </div>
+        `
+    }
+
+    /**
+     * Open the field mapping wizard
+     * Runs a sample query, lists the discovered fields with example values, lets the user
+     * assign the resultFields roles and facet display names with a live card preview,
+     * and generates a project.config.js that passes config validation.
+     * @param {string} query - Sample query (defaults to the current query or '*')
+     */
+    async openMappingWizard(query = this.currentQuery || '*') {
+        if (document.getElementById('mapping-wizard')) return
+
+        const { url: serverURL, preparedSearch } = this.getCurrentConnection()
+        const roles = ['title', 'description', 'link', 'date', 'language']
+
+        const esc = (value) => this.escapeHTML(value)
+        const sectionTitleStyle = 'font-size: 0.75rem; font-weight: 600; color: #6b7280; text-transform: uppercase; letter-spacing: 0.025em; margin: 0 0 0.75rem;'
+        const inputStyle = 'width: 100%; padding: 0.5rem 0.75rem; border: 1px solid #d1d5db; border-radius: 0.375rem; font-size: 0.875rem; background: white;'
+        const buttonStyle = 'padding: 0.625rem 1.25rem; background: #f3f4f6; color: #374151; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s;'
+
+        const { modal, close: closeModal } = this._openDialog({
+            id: 'mapping-wizard',
+            title: 'wizard.title',
+            width: '1000px',
+            subtitle: `<span style="font-family: 'Courier New', monospace;">${esc(serverURL)} · ${esc(preparedSearch)}</span>`
+        })
+
+        modal.insertAdjacentHTML('beforeend', `
+            <form id="mapping-wizard-query" style="display: flex; gap: 0.5rem; align-items: flex-end; padding: 1rem 1.5rem; border-bottom: 1px solid #e5e7eb;">
+                <label style="flex: 1; font-size: 0.875rem; font-weight: 600; color: #374151;">
+                    ${this.t('wizard.sampleQuery')}
+                    <input type="text" id="mapping-wizard-sample" value="${esc(query)}" style="${inputStyle} margin-top: 0.375rem;">
+                </label>
+                <button type="submit" style="${buttonStyle}">${this.t('wizard.run')}</button>
+            </form>
+            <div id="mapping-wizard-content" style="flex: 1; overflow-y: auto; padding: 1.5rem;"></div>
+            <div style="display: flex; gap: 0.75rem; justify-content: flex-end; align-items: center; padding: 1rem 1.5rem; border-top: 1px solid #e5e7eb;">
+                <span id="mapping-wizard-status" style="margin-right: auto; font-size: 0.8125rem;"></span>
+                <button type="button" id="copy-mapping-config" style="${buttonStyle}" disabled>${this.t('wizard.copy')}</button>
+                <button type="button" id="download-mapping-config" style="${buttonStyle} background: #2563eb; color: white;" disabled>${this.t('wizard.download')}</button>
+            </div>
+        `)
+
+        const content = modal.querySelector('#mapping-wizard-content')
+        const status = modal.querySelector('#mapping-wizard-status')
+        const copyButton = modal.querySelector('#copy-mapping-config')
+        const downloadButton = modal.querySelector('#download-mapping-config')
+        let source = ''
+
+        // Rebuild the config, validation message, preview and source from the form
+        const update = (samples) => {
+            const mapping = {}
+            roles.forEach(role => {
+                mapping[role] = content.querySelector(`[data-wizard-role="${role}"]`).value
+            })
+
+            const displayNames = {}
+            content.querySelectorAll('[data-wizard-facet]').forEach(input => {
+                if (input.value.trim()) displayNames[input.dataset.wizardFacet] = input.value.trim()
+            })
+
+            const generated = this._buildMappingConfig(mapping, displayNames, { serverURL, preparedSearch })
+            const merged = this._mergeConfig(generated)
+            const missing = this._getMissingConfig(merged)
+
+            source = this._getMappingConfigSource(generated, preparedSearch)
+            content.querySelector('#mapping-wizard-source').textContent = source
+
+            status.innerHTML = missing.length > 0
+                ? `<span style="color: #b91c1c;">${this.t('wizard.invalid')} ${esc(missing.join(', '))}</span>`
+                : `<span style="color: #15803d;">${this.t('wizard.valid')}</span>`
+            copyButton.disabled = missing.length > 0
+            downloadButton.disabled = missing.length > 0
+
+            // Preview the first results with the new mapping in the current theme
+            const preview = content.querySelector('#mapping-wizard-preview')
+            const resultFields = this.config.resultFields
+            preview.innerHTML = ''
+            try {
+                this.config.resultFields = merged.resultFields
+                this._renderDefaultCards({ searchResults: samples.slice(0, 3) }, preview)
+            } finally {
+                this.config.resultFields = resultFields
+            }
+            preview.querySelectorAll('.result-menu-btn').forEach(button => button.remove())
+        }
+
+        const run = async (sampleQuery) => {
+            content.innerHTML = `<p style="color: #6b7280;">${this.t('wizard.loading')}</p>`
+            status.textContent = ''
+            copyButton.disabled = true
+            downloadButton.disabled = true
+
+            // Own instance: the page's search term, filters and pagination stay untouched
+            // and the sample is not narrowed by them
+            const probe = new this.fsss.constructor(this.fsss.host, this.fsss.preparedSearch, this.fsss.options)
+
+            let page
+            try {
+                page = await probe.search(sampleQuery)
+            } catch (error) {
+                console.error('Mapping wizard error:', error)
+                content.innerHTML = `<p style="color: #b91c1c;">${this.t('wizard.error', { message: esc(error.message) })}</p>`
+                return
+            }
+
+            const samples = page.searchResults || []
+            if (samples.length === 0) {
+                content.innerHTML = `<p style="color: #6b7280;">${this.t('wizard.noResults')}</p>`
+                return
+            }
+
+            const fields = this._discoverFields(samples.map(wrapper => wrapper.result))
+            const guesses = this._guessFieldMapping(fields)
+            const facets = page.facets || []
+
+            content.innerHTML = `
+                <div style="display: grid; grid-template-columns: minmax(0, 1fr) minmax(0, 1fr); gap: 2rem;">
+                    <div>
+                        <h4 style="${sectionTitleStyle}">${this.t('wizard.mapping')}</h4>
+                        ${roles.map(role => `
+                            <label style="display: grid; grid-template-columns: 6rem 1fr; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem; font-size: 0.875rem; font-weight: 600; color: #374151;">
+                                ${esc(role)}
+                                <select data-wizard-role="${esc(role)}" style="${inputStyle}">
+                                    <option value="">${this.t('wizard.none')}</option>
+                                    ${fields.map(field => `<option value="${esc(field.name)}" ${guesses[role] === field.name ? 'selected' : ''}>${esc(field.name)}</option>`).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
+
+                        <h4 style="${sectionTitleStyle} margin-top: 1.5rem;">${this.t('wizard.facets')}</h4>
+                        ${facets.length > 0 ? facets.map(facet => `
+                            <label style="display: grid; grid-template-columns: 10rem 1fr; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem; font-size: 0.8125rem; color: #374151; font-family: 'Courier New', monospace;">
+                                ${esc(facet.name)}
+                                <input type="text" data-wizard-facet="${esc(facet.name)}" value="${esc(this.config.facets.displayNames[facet.name] || '')}" placeholder="${esc(facet.name)}" style="${inputStyle}">
+                            </label>
+                        `).join('') : `<p style="font-size: 0.875rem; color: #6b7280;">${this.t('wizard.noFacets')}</p>`}
+
+                        <h4 style="${sectionTitleStyle} margin-top: 1.5rem;">${this.t('wizard.fields')}</h4>
+                        <table style="width: 100%; border-collapse: collapse; font-size: 0.8125rem;">
+                            <thead>
+                                <tr style="text-align: left; color: #6b7280;">
+                                    <th style="padding: 0.375rem 0.5rem 0.375rem 0;">${this.t('wizard.field')}</th>
+                                    <th style="padding: 0.375rem 0.5rem;">${this.t('wizard.example')}</th>
+                                    <th style="padding: 0.375rem 0; text-align: right;">${this.t('wizard.coverage')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${fields.map(field => `
+                                    <tr style="border-top: 1px solid #f3f4f6;">
+                                        <td style="padding: 0.375rem 0.5rem 0.375rem 0; font-family: 'Courier New', monospace; color: #1f2937;">${esc(field.name)}</td>
+                                        <td style="padding: 0.375rem 0.5rem; color: #374151; word-break: break-all;">${esc(field.example)}</td>
+                                        <td style="padding: 0.375rem 0; text-align: right; color: #6b7280; white-space: nowrap;">${this.t('wizard.coverageValue', { count: field.count, total: samples.length })}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
                     </div>
-                    <div class="result-footer">
-                        <div class="result-meta-row">
-                            <span class="result-date">
-                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                    <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
-                                    <line x1="16" y1="2" x2="16" y2="6"></line>
-                                    <line x1="8" y1="2" x2="8" y2="6"></line>
-                                    <line x1="3" y1="10" x2="21" y2="10"></line>
-                                </svg>
-                                ${date}
-                            </span>
-                            <span class="result-badge">${language}</span>
-                        </div>
-                        <div class="result-url">
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
-                                <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
-                            </svg>
-                            <span class="url-text" title="${link}">${link.length > 80 ? link.substring(0, 80) + '...' : link}</span>
-                        </div>
+                    <div>
+                        <h4 style="${sectionTitleStyle}">${this.t('wizard.preview')}</h4>
+                        <div id="mapping-wizard-preview" class="search-results" style="margin-bottom: 1.5rem;"></div>
+
+                        <h4 style="${sectionTitleStyle}">${this.t('wizard.config')}</h4>
+                        <pre id="mapping-wizard-source" style="margin: 0; max-height: 320px; overflow: auto; color: #1f2937; font-family: 'Courier New', monospace; font-size: 0.75rem; line-height: 1.5; padding: 0.75rem; background: #f9fafb; border-radius: 0.5rem;"></pre>
                     </div>
-                </a>
+                </div>
             `
 
-            // Add field inspector button handler
-            if (this.config.features.fieldInspector) {
-                const menuBtn = resultCard.querySelector('.result-menu-btn')
-                if (menuBtn) {
-                    menuBtn.addEventListener('click', (e) => {
-                        e.preventDefault()
-                        e.stopPropagation()
-                        this.openFieldsSidebar(result)
-                    })
-                }
+            content.querySelectorAll('select, input').forEach(control => {
+                control.addEventListener(control.tagName === 'SELECT' ? 'change' : 'input', () => update(samples))
+            })
+
+            // Preview cards are not real navigation targets
+            content.querySelector('#mapping-wizard-preview').addEventListener('click', (e) => e.preventDefault())
+
+            update(samples)
+        }
+
+        modal.querySelector('#mapping-wizard-query').addEventListener('submit', (e) => {
+            e.preventDefault()
+            run(modal.querySelector('#mapping-wizard-sample').value.trim() || '*')
+        })
+
+        copyButton.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(source)
+                this.announce(this.t('fields.copied'))
+            } catch (error) {
+                console.error('Clipboard error:', error)
+                this.announce(this.t('fields.copyFailed'))
             }
+        })
 
-            // Track result clicks
-            if (this.config.hooks.onResultClick) {
-                const link = resultCard.querySelector('.result-link')
-                if (link) {
-                    link.addEventListener('click', () => {
-                        this.config.hooks.onResultClick(result)
-                    })
+        downloadButton.addEventListener('click', () => {
+            this._downloadFile('project.config.js', source, 'text/javascript')
+        })
+
+        await run(query)
+    }
+
+    /**
+     * Collect the fields of sample results with an example value and how many results have them
+     * @param {Array<Object>} results - Raw result documents
+     * @returns {Array<Object>} { name, example, count } in order of first appearance
+     */
+    _discoverFields(results) {
+        const fields = new Map()
+
+        results.forEach(result => {
+            Object.entries(result).forEach(([name, value]) => {
+                const first = Array.isArray(value) ? value[0] : value
+                const field = fields.get(name) || { name, example: '', count: 0 }
+
+                if (first !== undefined && first !== null && first !== '') {
+                    field.count++
+                    if (!field.example) {
+                        const text = typeof first === 'object' ? JSON.stringify(first) : String(first)
+                        field.example = text.length > 80 ? text.substring(0, 80) + '...' : text
+                    }
                 }
-            }
+                fields.set(name, field)
+            })
+        })
 
-            container.appendChild(resultCard)
+        return Array.from(fields.values())
+    }
+
+    /**
+     * Suggest a field per resultFields role
+     * Keeps the current mapping where its field exists, otherwise matches common field names.
+     * @param {Array<Object>} fields - Discovered fields, see _discoverFields()
+     * @returns {Object} role -> field name ('' = none)
+     */
+    _guessFieldMapping(fields) {
+        const names = fields.map(field => field.name)
+        const patterns = {
+            title: /title|headline|name/i,
+            description: /content|description|summary|body|text/i,
+            link: /link|url|href/i,
+            date: /date|modified|created|published/i,
+            language: /lang/i
+        }
+
+        const guesses = {}
+        Object.entries(patterns).forEach(([role, pattern]) => {
+            const fieldConfig = this.config.resultFields[role]
+            const configured = (fieldConfig.field ? [fieldConfig.field] : fieldConfig.fields || [])
+                .find(name => names.includes(name))
+
+            guesses[role] = configured || names.find(name => pattern.test(name)) || ''
         })
+
+        return guesses
+    }
+
+    /**
+     * Build the project config for a field mapping
+     * Fields listed after the chosen one in the current config stay as fallbacks.
+     * @param {Object} mapping - role -> field name ('' = none)
+     * @param {Object} displayNames - Facet name -> display name
+     * @param {Object} connection - { serverURL, preparedSearch }
+     * @returns {Object} Project config (before merging with the defaults)
+     */
+    _buildMappingConfig(mapping, displayNames, { serverURL, preparedSearch }) {
+        const current = this.config.resultFields
+        const fieldList = (role) => mapping[role]
+            ? [mapping[role], ...(current[role].fields || []).filter(field => field !== mapping[role])]
+            : []
+
+        return {
+            server: {
+                defaultURL: serverURL,
+                defaultPreparedSearch: preparedSearch,
+                localStorageKeys: { ...this.config.server.localStorageKeys }
+            },
+            facets: {
+                displayNames
+            },
+            dateFilter: {
+                enabled: Boolean(mapping.date) && this.config.dateFilter.enabled,
+                fieldName: mapping.date || null
+            },
+            resultFields: {
+                title: { field: mapping.title || null, fallback: current.title.fallback },
+                description: {
+                    fields: fieldList('description'),
+                    fallback: current.description.fallback,
+                    useHighlighting: current.description.useHighlighting
+                },
+                link: { fields: fieldList('link'), fallback: current.link.fallback },
+                date: {
+                    field: mapping.date || null,
+                    format: { ...current.date.format },
+                    locale: current.date.locale,
+                    fallback: current.date.fallback
+                },
+                language: { field: mapping.language || null, default: current.language.default }
+            }
+        }
+    }
+
+    /**
+     * Render a generated project config as the source of a project.config.js file
+     */
+    _getMappingConfigSource(generated, preparedSearch) {
+        return [
+            '/**',
+            ' * SmartSearch Project Configuration',
+            ' *',
+            ` * Generated by the field mapping wizard for prepared search '${preparedSearch}'`,
+            ` * on ${new Date().toISOString().slice(0, 10)}. Merge the remaining sections`,
+            ' * (themes, presets, i18n, ...) from your existing config/project.config.js.',
+            ' *',
+            ' * @see lib/smartsearch-ui.js for the generic library code',
+            ' */',
+            '',
+            `const SmartSearchConfig = ${this._toConfigSource(generated)}`,
+            ''
+        ].join('\n')
+    }
+
+    /**
+     * Serialize a value as a JavaScript literal in the style of project.config.js
+     * (single quotes, unquoted keys, four-space indentation)
+     */
+    _toConfigSource(value, indent = '') {
+        const inner = indent + '    '
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '[]'
+            return `[${value.map(item => this._toConfigSource(item, indent)).join(', ')}]`
+        }
+
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value)
+            if (entries.length === 0) return '{}'
+
+            const lines = entries.map(([key, item]) => {
+                const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : this._toConfigSource(key)
+                return `${inner}${name}: ${this._toConfigSource(item, inner)}`
+            })
+            return `{\n${lines.join(',\n')}\n${indent}}`
+        }
+
+        if (typeof value === 'string') {
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`
+        }
+
+        return String(value)
+    }
+
+    /**
+     * Get the connection profiles: config.server.profiles followed by the ones the user added
+     * @returns {Array<Object>} { id, name, url, preparedSearch, source ('config' or 'user') }
+     */
+    getConnectionProfiles() {
+        const configured = this.config.server.profiles.map(profile => ({ ...profile, source: 'config' }))
+        const added = this._readStoredList(this.config.server.localStorageKeys.profiles)
+            .map(profile => ({ ...profile, source: 'user' }))
+
+        return [...configured, ...added]
+    }
+
+    /**
+     * Get the server and prepared search in use
+     * @returns {Object} { url, preparedSearch, profile (matching profile or null) }
+     */
+    getCurrentConnection() {
+        const url = this.fsss.host
+        const preparedSearch = this.fsss.preparedSearch
+        const profile = this.getConnectionProfiles()
+            .find(candidate => candidate.url === url && candidate.preparedSearch === preparedSearch) || null
+
+        return { url, preparedSearch, profile }
+    }
+
+    /**
+     * Store a connection profile in this browser
+     * A user profile with the same name is replaced.
+     * @param {Object} profile - { name, url, preparedSearch }
+     * @returns {Object|null} The stored profile
+     */
+    addConnectionProfile({ name, url, preparedSearch }) {
+        name = (name || '').trim()
+        url = (url || '').trim()
+        preparedSearch = (preparedSearch || '').trim()
+        if (!name || !url || !preparedSearch) return null
+
+        const key = this.config.server.localStorageKeys.profiles
+        const profile = { id: `user-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, name, url, preparedSearch }
+        const profiles = this._readStoredList(key).filter(existing => existing.id !== profile.id)
+
+        this._writeStoredList(key, [...profiles, profile])
+        return { ...profile, source: 'user' }
     }
 
     /**
-     * Handle Did You Mean suggestions
+     * Delete a connection profile the user added (config profiles stay)
+     * @param {string} id - Profile id
      */
-    handleDidYouMean(page, pageRenderer) {
-        const element = document.getElementById("did-you-mean")
-        if (!element) return
+    removeConnectionProfile(id) {
+        const key = this.config.server.localStorageKeys.profiles
+        this._writeStoredList(key, this._readStoredList(key).filter(profile => profile.id !== id))
+    }
 
-        if (page.didYouMean && page.didYouMean.length > 0) {
-            pageRenderer.renderDidYouMeanToHTMLElement(element)
-            element.style.display = "block"
-        } else {
-            element.style.display = "none"
+    /**
+     * Connect to the server and prepared search of a profile
+     * @param {string} id - Profile id
+     * @returns {Promise<Object|null>} The re-run page, see setConnection()
+     */
+    async switchProfile(id) {
+        const profile = this.getConnectionProfiles().find(candidate => candidate.id === id)
+        if (!profile) {
+            throw new Error(`SmartSearchUI: Unknown connection profile '${id}'`)
         }
+
+        return this.setConnection(profile.url, profile.preparedSearch)
     }
 
     /**
-     * Update results info display
+     * Switch to another server and/or prepared search without reloading the page
+     * Rebuilds the SmartSearch instance, remembers the connection for the next visit and
+     * re-runs the current search (facet values the new index does not know are dropped).
+     * @param {string} url - Server URL
+     * @param {string} preparedSearch - Prepared search name
+     * @returns {Promise<Object|null>} The re-run page, null without a current search
      */
-    updateResultsInfo(page, query) {
-        const resultsInfo = document.getElementById("results-info")
-        if (!resultsInfo || !query) return
+    async setConnection(url, preparedSearch) {
+        url = (url || '').trim() || this.config.server.defaultURL
+        preparedSearch = (preparedSearch || '').trim() || this.config.server.defaultPreparedSearch
 
-        const totalResults = (page.responseData && page.responseData.numRows) ||
-                             page.numRows || page.totalHits || page.totalResults || page.total || 0
+        const keys = this.config.server.localStorageKeys
+        localStorage.setItem(keys.server, url)
+        localStorage.setItem(keys.preparedSearch, preparedSearch)
 
-        const currentPage = (page.paginationParams && page.paginationParams.page) ||
-                            page.pageNumber || page.currentPage || page.page || 1
+        if (url === this.fsss.host && preparedSearch === this.fsss.preparedSearch) return null
 
-        const pageSize = (page.responseData && page.responseData.rows) ||
-                         page.rows || page.pageSize || page.size || 10
+        const state = this.currentPage ? { ...this._captureState(this.currentPage), page: 1 } : null
 
-        if (totalResults > 0) {
-            const startResult = ((currentPage - 1) * pageSize) + 1
-            const endResult = Math.min(currentPage * pageSize, totalResults)
-            resultsInfo.innerHTML = `Showing <strong>${startResult}-${endResult}</strong> of <strong>${totalResults}</strong> results for "<strong>${query}</strong>"`
-        } else {
-            resultsInfo.innerHTML = ''
+        // Responses of the previous index must not render anymore
+        this._discardPendingRequests()
+        this.fsss = this._createSearchInstance(url, preparedSearch)
+        this._applyLocale()
+        this._applyCustomParams()
+        this._resetFacetListState()
+
+        if (!state || !state.query) return null
+
+        const page = await this._request(requestId => this._restoreState(state, requestId))
+
+        if (page) {
+            this._renderPage(page)
+            this._writeUrlState(page)
         }
+        return page
     }
 
     /**
-     * Link pagination buttons
+     * Create a SmartSearch instance for another connection with the current options
      */
-    async linkPagination(searchResultPage) {
-        const pagination = document.getElementsByClassName("smart-search-pagination")[0]
-        if (!pagination) return
+    _createSearchInstance(url, preparedSearch) {
+        const SmartSearch = this.fsss.constructor
+        const instance = new SmartSearch(url, preparedSearch, this.fsss.options)
+
+        // The bundle cannot detach the autocomplete widget from the search bar,
+        // so the attached widget stays and fetches its suggestions from the new index
+        const widget = this.fsss.autocompleteWidget
+        if (widget && this.searchbar) {
+            widget.autocompleteClient = instance.autocompleteWidget.autocompleteClient
+            instance._autocompleteWidget = widget
+        }
 
-        const paginationButtons = pagination.children
+        return instance
+    }
 
-        for (let button of paginationButtons) {
-            button.addEventListener("click", async (event) => {
-                const clickedButton = event.currentTarget
-                const pageNumber = Number(clickedButton.getAttribute("smart-search-page-value") || "0")
-                const page = await searchResultPage.getPage(pageNumber)
+    /**
+     * Run a probe query (config.server.probeQuery) against a server and prepared search
+     * @param {string} url - Server URL (defaults to the current one)
+     * @param {string} preparedSearch - Prepared search name (defaults to the current one)
+     * @returns {Promise<Object>} { ok, latency (ms), total (hits), error (message or null) }
+     */
+    async testConnection(url = this.fsss.host, preparedSearch = this.fsss.preparedSearch) {
+        const { probeQuery, probeTimeout } = this.config.server
+        const probe = new this.fsss.constructor(url, preparedSearch, this.fsss.options)
+        const started = performance.now()
+        let timer = null
 
-                this.renderSearchResults(page)
-                this.updateResultsInfo(page, new URLSearchParams(window.location.search).get("query"))
+        try {
+            const page = await Promise.race([
+                probe.search(probeQuery),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(this.t('settings.timeout', { seconds: probeTimeout / 1000 }))), probeTimeout)
+                })
+            ])
 
-                if (this.config.features.smoothScrolling) {
-                    window.scrollTo({ top: 0, behavior: 'smooth' })
-                }
-            })
+            return { ok: true, latency: Math.round(performance.now() - started), total: this._getTotalResults(page), error: null }
+        } catch (error) {
+            return { ok: false, latency: Math.round(performance.now() - started), total: 0, error: error.message }
+        } finally {
+            clearTimeout(timer)
         }
     }
 
     /**
-     * Show empty state
+     * Run the same query against two connections and match their results by link
+     * Each side gets its own SmartSearch instance, so the current search is not touched.
+     * @param {string} query - Search query
+     * @param {Object} left - { url, preparedSearch } of column A (defaults to the current connection)
+     * @param {Object} right - { url, preparedSearch } of column B
+     * @returns {Promise<Object>} { query, left, right, overlap }; each side has url, preparedSearch,
+     *   latency (ms), total (hits) and entries { result, rank, link, otherRank (null if only on this side) };
+     *   overlap has count, shareOfLeft, shareOfRight (0-1) and averageRankChange (null without overlap)
      */
-    showEmptyState() {
-        const searchResults = document.getElementById("search-results")
-        if (searchResults) {
-            searchResults.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">${this.config.ui.emptyStateIcon}</div>
-                    <div class="empty-state-text">${this.config.ui.emptyStateMessage}</div>
-                </div>
-            `
+    async compareSearches(query, left = this.getCurrentConnection(), right = this.getCurrentConnection()) {
+        const depth = String(this.config.compare.depth)
+        const fallbackLink = this.config.resultFields.link.fallback
+
+        const run = async ({ url, preparedSearch }) => {
+            const instance = new this.fsss.constructor(url, preparedSearch, this.fsss.options)
+            const started = performance.now()
+            const page = await instance.search(query, { haupia_pageNumber: '0' }, { haupia_pageSize: depth })
+
+            return {
+                url,
+                preparedSearch,
+                latency: Math.round(performance.now() - started),
+                total: this._getTotalResults(page),
+                results: (page.searchResults || []).slice(0, Number(depth)).map(wrapper => wrapper.result)
+            }
         }
 
-        const resultsInfo = document.getElementById("results-info")
-        if (resultsInfo) {
-            resultsInfo.innerHTML = ''
+        const [a, b] = await Promise.all([run(left), run(right)])
+
+        // Results without a usable link cannot be matched
+        const linkOf = (result) => {
+            const link = this.getField(result, 'link')
+            return link && link !== fallbackLink ? link : null
+        }
+        const ranksOf = (results) => {
+            const ranks = new Map()
+            results.forEach((result, index) => {
+                const link = linkOf(result)
+                if (link && !ranks.has(link)) ranks.set(link, index + 1)
+            })
+            return ranks
+        }
+        const toEntries = ({ results, ...side }, otherRanks) => ({
+            ...side,
+            entries: results.map((result, index) => {
+                const link = linkOf(result)
+                return { result, rank: index + 1, link, otherRank: (link && otherRanks.get(link)) || null }
+            })
+        })
+
+        const leftSide = toEntries(a, ranksOf(b.results))
+        const rightSide = toEntries(b, ranksOf(a.results))
+        const shared = rightSide.entries.filter(entry => entry.otherRank !== null)
+        const count = shared.length
+
+        return {
+            query,
+            left: leftSide,
+            right: rightSide,
+            overlap: {
+                count,
+                shareOfLeft: leftSide.entries.length ? count / leftSide.entries.length : 0,
+                shareOfRight: rightSide.entries.length ? count / rightSide.entries.length : 0,
+                averageRankChange: count
+                    ? shared.reduce((sum, entry) => sum + Math.abs(entry.otherRank - entry.rank), 0) / count
+                    : null
+            }
         }
     }
 
     /**
-     * Show error state
+     * Open the compare view: one query, two connections, results side by side
+     * Column B marks how far each shared document moved compared to column A.
+     * @param {Object} options - { query, left, right } with { url, preparedSearch } connections
      */
-    showErrorState(error) {
-        const searchResults = document.getElementById("search-results")
-        if (searchResults) {
-            searchResults.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">${this.config.ui.errorStateIcon}</div>
-                    <div class="empty-state-text">An error occurred while searching</div>
-                    <p style="margin-top: 1rem; color: var(--text-tertiary); font-size: 0.875rem;">${error.message || 'Please try again later'}</p>
+    openCompareView({ query = this.currentQuery || '*', left = this.getCurrentConnection(), right = null } = {}) {
+        if (document.getElementById('compare-view')) return
+
+        const profiles = this.getConnectionProfiles()
+        const findProfile = ({ url, preparedSearch }) => profiles
+            .find(profile => profile.url === url && profile.preparedSearch === preparedSearch) || null
+
+        // Default column B: the first profile that is not column A
+        if (!right) {
+            const other = profiles.find(profile => profile.url !== left.url || profile.preparedSearch !== left.preparedSearch)
+            right = other || left
+        }
+
+        const esc = (value) => this.escapeHTML(value)
+        const inputStyle = 'width: 100%; padding: 0.5rem 0.75rem; border: 1px solid #d1d5db; border-radius: 0.375rem; font-size: 0.875rem; background: white;'
+        const buttonStyle = 'padding: 0.625rem 1.25rem; background: #2563eb; color: white; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s;'
+
+        const connectionFields = (side, connection) => `
+            <fieldset data-compare-side="${side}" style="flex: 1; min-width: 0; margin: 0; padding: 0.75rem; border: 1px solid #e5e7eb; border-radius: 0.5rem;">
+                <legend style="padding: 0 0.25rem; font-size: 0.875rem; font-weight: 600; color: #374151;">${this.t(`compare.${side}`)}</legend>
+                <select data-compare-profile aria-label="${esc(this.t('settings.profile'))}" style="${inputStyle} margin-bottom: 0.5rem;">
+                    ${this._renderProfileOptions(profiles, findProfile(connection))}
+                </select>
+                <div style="display: flex; gap: 0.5rem;">
+                    <input type="text" data-compare-url value="${esc(connection.url)}" aria-label="${esc(this.t('settings.serverURL'))}" style="${inputStyle} flex: 2;">
+                    <input type="text" data-compare-prepared-search value="${esc(connection.preparedSearch)}" aria-label="${esc(this.t('settings.preparedSearch'))}" style="${inputStyle} flex: 1;">
                 </div>
-            `
+            </fieldset>
+        `
+
+        const { modal, close: closeModal } = this._openDialog({ id: 'compare-view', title: 'compare.title', width: '1100px' })
+
+        modal.insertAdjacentHTML('beforeend', `
+            <form id="compare-view-form" style="padding: 1rem 1.5rem; border-bottom: 1px solid #e5e7eb;">
+                <div style="display: flex; gap: 1rem; margin-bottom: 0.75rem;">
+                    ${connectionFields('left', left)}
+                    ${connectionFields('right', right)}
+                </div>
+                <div style="display: flex; gap: 0.5rem; align-items: flex-end;">
+                    <label style="flex: 1; font-size: 0.875rem; font-weight: 600; color: #374151;">
+                        ${this.t('compare.query')}
+                        <input type="text" id="compare-query" value="${esc(query)}" style="${inputStyle} margin-top: 0.375rem;">
+                    </label>
+                    <button type="submit" style="${buttonStyle}">${this.t('compare.run')}</button>
+                </div>
+            </form>
+            <div id="compare-view-content" aria-live="polite" style="flex: 1; overflow-y: auto; padding: 1.5rem;"></div>
+        `)
+
+        // Picking a profile fills in its connection
+        modal.querySelectorAll('[data-compare-side]').forEach(fieldset => {
+            fieldset.querySelector('[data-compare-profile]').addEventListener('change', (e) => {
+                const profile = profiles.find(candidate => candidate.id === e.target.value)
+                if (!profile) return
+                fieldset.querySelector('[data-compare-url]').value = profile.url
+                fieldset.querySelector('[data-compare-prepared-search]').value = profile.preparedSearch
+            })
+        })
+
+        const content = modal.querySelector('#compare-view-content')
+        const readConnection = (side) => {
+            const fieldset = modal.querySelector(`[data-compare-side="${side}"]`)
+            return {
+                url: fieldset.querySelector('[data-compare-url]').value.trim(),
+                preparedSearch: fieldset.querySelector('[data-compare-prepared-search]').value.trim()
+            }
         }
-    }
 
-    /**
-     * Open field inspector sidebar
-     */
-    openFieldsSidebar(result) {
-        // Remove existing sidebar
-        const existingSidebar = document.getElementById('fields-sidebar')
-        if (existingSidebar) {
-            existingSidebar.remove()
+        // Only the latest comparison may render
+        let runId = 0
+        const run = async () => {
+            const id = ++runId
+            const compareQuery = modal.querySelector('#compare-query').value.trim() || '*'
+            content.innerHTML = `<p style="color: #6b7280;">${this.t('compare.loading')}</p>`
+
+            let comparison
+            try {
+                comparison = await this.compareSearches(compareQuery, readConnection('left'), readConnection('right'))
+            } catch (error) {
+                console.error('Compare error:', error)
+                if (id === runId) {
+                    content.innerHTML = `<p style="color: #b91c1c;">${this.t('compare.error', { message: esc(error.message) })}</p>`
+                }
+                return
+            }
+            if (id !== runId || !content.isConnected) return
+
+            content.innerHTML = this._renderComparison(comparison)
+            this.announce(this.t('compare.announcement', { count: comparison.overlap.count }))
         }
 
-        // Create backdrop
-        const backdrop = document.createElement('div')
-        backdrop.id = 'fields-sidebar-backdrop'
-        backdrop.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0, 0, 0, 0.5); z-index: 99998; opacity: 0; transition: opacity 0.3s ease;'
+        modal.querySelector('#compare-view-form').addEventListener('submit', (e) => {
+            e.preventDefault()
+            run()
+        })
 
-        // Create sidebar
-        const sidebar = document.createElement('div')
-        sidebar.id = 'fields-sidebar'
-        sidebar.style.cssText = 'position: fixed; top: 0; right: -500px; width: 500px; max-width: 90vw; height: 100vh; background: white; z-index: 99999; box-shadow: -4px 0 20px rgba(0, 0, 0, 0.15); transition: right 0.3s ease; display: flex; flex-direction: column;'
+        run()
+    }
 
-        // Build sidebar content
-        sidebar.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: center; padding: 1.5rem; border-bottom: 1px solid #e5e7eb; background: #f9fafb;">
-                <h3 style="font-size: 1.125rem; font-weight: 600; color: #1f2937; margin: 0;">All Fields</h3>
-                <button id="close-sidebar" style="background: none; border: none; font-size: 1.5rem; color: #6b7280; cursor: pointer; width: 2.5rem; height: 2.5rem; display: flex; align-items: center; justify-content: center; border-radius: 0.375rem; transition: background 0.15s;" aria-label="Close">×</button>
-            </div>
-            <div style="flex: 1; overflow-y: auto; padding: 1.5rem;">
-                ${Object.entries(result).map(([key, value]) => {
-                    let displayValue = value;
-                    if (Array.isArray(value)) {
-                        displayValue = value.join(', ');
-                    } else if (typeof value === 'object' && value !== null) {
-                        displayValue = JSON.stringify(value, null, 2);
-                    }
-                    return `
-                        <div style="margin-bottom: 1.5rem;">
-                            <div style="font-weight: 600; color: #6b7280; font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.025em; margin-bottom: 0.5rem;">${key}</div>
-                            <div style="color: #1f2937; font-family: 'Courier New', monospace; font-size: 0.8125rem; line-height: 1.6; padding: 0.75rem; background: #f9fafb; border-radius: 0.5rem; border-left: 3px solid #2563eb; word-break: break-all;">${displayValue || 'N/A'}</div>
-                        </div>
-                    `;
-                }).join('')}
+    /**
+     * Build the statistics and the two result columns of a comparison
+     */
+    _renderComparison({ left, right, overlap }) {
+        const esc = (value) => this.escapeHTML(value)
+        const percent = (share) => `${Math.round(share * 100)} %`
+
+        const stat = (label, value) => `
+            <div style="flex: 1; padding: 0.75rem 1rem; background: #f9fafb; border-radius: 0.5rem;">
+                <div style="font-size: 0.75rem; color: #6b7280;">${label}</div>
+                <div style="font-size: 1.25rem; font-weight: 600; color: #1f2937;">${value}</div>
             </div>
         `
 
-        document.body.appendChild(backdrop)
-        document.body.appendChild(sidebar)
+        // Column A points to the rank in B, column B shows the move compared to A
+        const marker = (entry, side) => {
+            const style = (color, background) => `flex-shrink: 0; padding: 0.125rem 0.5rem; border-radius: 9999px; font-size: 0.75rem; font-weight: 600; white-space: nowrap; color: ${color}; background: ${background};`
 
-        // Animate in
-        setTimeout(() => {
-            backdrop.style.opacity = '1'
-            sidebar.style.right = '0'
-        }, 10)
+            if (entry.otherRank === null) {
+                const label = this.t('compare.onlyIn', { side: this.t(`compare.${side}`) })
+                return `<span class="compare-marker" data-compare-change="only" style="${style('#1d4ed8', '#dbeafe')}" title="${esc(label)}">${esc(label)}</span>`
+            }
+            if (side === 'left') {
+                const label = this.t('compare.rankIn', { rank: entry.otherRank, side: this.t('compare.right') })
+                return `<span class="compare-marker" data-compare-change="rank" style="${style('#374151', '#f3f4f6')}">${esc(label)}</span>`
+            }
 
-        // Close handlers
-        const closeSidebar = () => {
-            backdrop.style.opacity = '0'
-            sidebar.style.right = '-500px'
-            setTimeout(() => {
-                backdrop.remove()
-                sidebar.remove()
-            }, 300)
+            const change = entry.otherRank - entry.rank
+            if (change === 0) {
+                return `<span class="compare-marker" data-compare-change="same" style="${style('#374151', '#f3f4f6')}" title="${esc(this.t('compare.same'))}">=</span>`
+            }
+            const direction = change > 0 ? 'up' : 'down'
+            const label = this.t(`compare.${direction}`, { count: Math.abs(change) })
+            return change > 0
+                ? `<span class="compare-marker" data-compare-change="up" style="${style('#15803d', '#dcfce7')}" title="${esc(label)}" aria-label="${esc(label)}">▲ ${change}</span>`
+                : `<span class="compare-marker" data-compare-change="down" style="${style('#b91c1c', '#fee2e2')}" title="${esc(label)}" aria-label="${esc(label)}">▼ ${-change}</span>`
         }
 
-        document.getElementById('close-sidebar').addEventListener('click', closeSidebar)
-        backdrop.addEventListener('click', closeSidebar)
+        const column = (data, side) => `
+            <section data-compare-column="${side}" style="flex: 1; min-width: 0;">
+                <h4 style="margin: 0 0 0.25rem; font-size: 1rem; font-weight: 600; color: #1f2937;">${this.t(`compare.${side}`)}</h4>
+                <p style="margin: 0 0 0.75rem; font-size: 0.75rem; color: #6b7280; font-family: 'Courier New', monospace; word-break: break-all;">
+                    ${esc(data.url)} · ${esc(data.preparedSearch)}<br>
+                    ${this.t('compare.hits', { count: data.total })} · ${this.t('compare.latency', { latency: data.latency })}
+                </p>
+                ${data.entries.length > 0 ? `
+                    <ol style="list-style: none; margin: 0; padding: 0;">
+                        ${data.entries.map(entry => `
+                            <li class="compare-result" data-compare-link="${esc(entry.link || '')}" style="display: flex; gap: 0.75rem; align-items: flex-start; padding: 0.5rem 0; border-top: 1px solid #f3f4f6;">
+                                <span style="flex-shrink: 0; width: 2rem; font-size: 0.875rem; font-weight: 600; color: #9ca3af; text-align: right;">${entry.rank}</span>
+                                <div style="flex: 1; min-width: 0;">
+                                    <a href="${esc(this.getField(entry.result, 'link'))}" target="_blank" rel="noopener noreferrer" style="font-size: 0.875rem; font-weight: 500; color: #1d4ed8; text-decoration: none;">${esc(this.getField(entry.result, 'title'))}</a>
+                                    <div style="font-size: 0.75rem; color: #6b7280; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${esc(entry.link || '')}</div>
+                                </div>
+                                ${marker(entry, side)}
+                            </li>
+                        `).join('')}
+                    </ol>
+                ` : `<p style="font-size: 0.875rem; color: #6b7280;">${this.t('compare.noResults')}</p>`}
+            </section>
+        `
+
+        return `
+            <div id="compare-stats" style="display: flex; gap: 0.75rem; margin-bottom: 1.5rem;">
+                ${stat(this.t('compare.overlap'), this.t('compare.overlapValue', { count: overlap.count, depth: Math.max(left.entries.length, right.entries.length) }))}
+                ${stat(this.t('compare.shareOfLeft'), percent(overlap.shareOfLeft))}
+                ${stat(this.t('compare.shareOfRight'), percent(overlap.shareOfRight))}
+                ${stat(this.t('compare.averageRankChange'), overlap.averageRankChange === null ? '–' : overlap.averageRankChange.toFixed(1))}
+            </div>
+            <div style="display: flex; gap: 2rem;">
+                ${column(left, 'left')}
+                ${column(right, 'right')}
+            </div>
+        `
     }
 
     /**
-     * Initialize settings button
+     * Build the <option>s of the connection profile selector
      */
-    _initSettingsButton() {
-        // Will be initialized after DOM loads
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this._setupSettingsButton())
-        } else {
-            this._setupSettingsButton()
-        }
-    }
+    _renderProfileOptions(profiles, selected) {
+        const option = (profile) => `
+            <option value="${this.escapeHTML(profile.id)}" ${selected && profile.id === selected.id ? 'selected' : ''}>
+                ${this.escapeHTML(this._translateLabel(`profile.${profile.id}`, profile.name))}
+            </option>
+        `
+        const configured = profiles.filter(profile => profile.source === 'config')
+        const added = profiles.filter(profile => profile.source === 'user')
 
-    _setupSettingsButton() {
-        const settingsBtn = document.getElementById('settings-btn')
-        if (settingsBtn) {
-            settingsBtn.addEventListener('click', () => this.openSettingsModal())
-        }
+        return `
+            <option value="" ${selected ? '' : 'selected'}>${this.t('settings.customProfile')}</option>
+            ${configured.length > 0 ? `<optgroup label="${this.escapeHTML(this.t('settings.projectProfiles'))}">${configured.map(option).join('')}</optgroup>` : ''}
+            ${added.length > 0 ? `<optgroup label="${this.escapeHTML(this.t('settings.userProfiles'))}">${added.map(option).join('')}</optgroup>` : ''}
+        `
     }
 
     /**
@@ -1179,75 +6512,153 @@ class SmartSearchUI {
      */
     openSettingsModal() {
         const config = this.config.server
-        const currentServer = localStorage.getItem(config.localStorageKeys.server) || config.defaultURL
-        const currentPreparedSearch = localStorage.getItem(config.localStorageKeys.preparedSearch) || config.defaultPreparedSearch
+        const { url: currentServer, preparedSearch: currentPreparedSearch, profile: currentProfile } = this.getCurrentConnection()
+        const profiles = this.getConnectionProfiles()
 
         // Get current theme
         const currentThemeId = this.currentThemeId || this.config.theme?.default || 'default'
         const availableThemes = this.config.theme?.available || []
 
-        // Create backdrop
-        const backdrop = document.createElement('div')
-        backdrop.id = 'settings-backdrop'
-        backdrop.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0, 0, 0, 0.5); z-index: 100000; display: flex; align-items: center; justify-content: center; opacity: 0; transition: opacity 0.3s ease;'
+        // Locales offered in the language selector
+        const locales = this.config.i18n.locales
+        const localeIds = Object.keys(locales)
 
-        // Create modal
-        const modal = document.createElement('div')
-        modal.id = 'settings-modal'
-        modal.style.cssText = 'background: white; border-radius: 12px; box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.3); width: 600px; max-width: 90vw; max-height: 90vh; overflow: hidden; transform: scale(0.9); transition: transform 0.3s ease;'
+        const { modal, close: closeModal } = this._openDialog({ id: 'settings-modal', title: 'settings.title', width: '600px' })
 
-        modal.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: center; padding: 1.5rem; border-bottom: 1px solid #e5e7eb; background: #f9fafb;">
-                <h3 style="font-size: 1.25rem; font-weight: 600; color: #1f2937; margin: 0;">Settings</h3>
-                <button id="close-settings-modal" style="background: none; border: none; font-size: 1.5rem; color: #6b7280; cursor: pointer; width: 2.5rem; height: 2.5rem; display: flex; align-items: center; justify-content: center; border-radius: 0.375rem; transition: background 0.15s;" aria-label="Close">×</button>
-            </div>
+        modal.insertAdjacentHTML('beforeend', `
             <div style="padding: 2rem;">
                 <form id="settings-form">
                     ${availableThemes.length > 0 ? `
                     <div style="margin-bottom: 1.5rem;">
                         <label for="theme-select" style="display: block; font-weight: 600; color: #374151; font-size: 0.875rem; margin-bottom: 0.5rem;">
-                            Theme
+                            <span data-i18n="settings.theme">${this.t('settings.theme')}</span>
                         </label>
                         <select
                             id="theme-select"
                             style="width: 100%; padding: 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; font-size: 0.875rem; transition: border-color 0.15s; background: white;">
                             ${availableThemes.map(theme => `
-                                <option value="${theme.id}" ${theme.id === currentThemeId ? 'selected' : ''}>
-                                    ${theme.name} - ${theme.description}
+                                <option value="${this.escapeHTML(theme.id)}" ${theme.id === currentThemeId ? 'selected' : ''}>
+                                    ${this.escapeHTML(theme.name)} - ${this.escapeHTML(theme.description)}
+                                </option>
+                            `).join('')}
+                        </select>
+                        <p style="margin-top: 0.5rem; font-size: 0.75rem; color: #6b7280;" data-i18n="settings.themeHint">${this.t('settings.themeHint')}</p>
+                    </div>
+                    ` : ''}
+
+                    ${localeIds.length > 1 ? `
+                    <div style="margin-bottom: 1.5rem;">
+                        <label for="locale-select" style="display: block; font-weight: 600; color: #374151; font-size: 0.875rem; margin-bottom: 0.5rem;">
+                            <span data-i18n="settings.language">${this.t('settings.language')}</span>
+                        </label>
+                        <select
+                            id="locale-select"
+                            style="width: 100%; padding: 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; font-size: 0.875rem; transition: border-color 0.15s; background: white;">
+                            ${localeIds.map(id => `
+                                <option value="${this.escapeHTML(id)}" ${id === this.locale ? 'selected' : ''}>
+                                    ${this.escapeHTML(locales[id].name || id)}
                                 </option>
                             `).join('')}
                         </select>
-                        <p style="margin-top: 0.5rem; font-size: 0.75rem; color: #6b7280;">Changes apply instantly</p>
+                        <p style="margin-top: 0.5rem; font-size: 0.75rem; color: #6b7280;" data-i18n="settings.themeHint">${this.t('settings.themeHint')}</p>
+                    </div>
+                    ` : ''}
+
+                    ${profiles.length > 0 ? `
+                    <div style="margin-bottom: 1.5rem;">
+                        <label for="profile-select" style="display: block; font-weight: 600; color: #374151; font-size: 0.875rem; margin-bottom: 0.5rem;">
+                            <span data-i18n="settings.profile">${this.t('settings.profile')}</span>
+                        </label>
+                        <div style="display: flex; gap: 0.5rem;">
+                            <select
+                                id="profile-select"
+                                style="flex: 1; padding: 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; font-size: 0.875rem; transition: border-color 0.15s; background: white;">
+                                ${this._renderProfileOptions(profiles, currentProfile)}
+                            </select>
+                            <button
+                                type="button"
+                                id="delete-profile"
+                                ${currentProfile?.source === 'user' ? '' : 'hidden'}
+                                style="padding: 0.75rem 1rem; background: #f3f4f6; color: #b91c1c; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s;"
+                            >
+                                <span data-i18n="settings.deleteProfile">${this.t('settings.deleteProfile')}</span>
+                            </button>
+                        </div>
+                        <p style="margin-top: 0.5rem; font-size: 0.75rem; color: #6b7280;" data-i18n="settings.profileHint">${this.t('settings.profileHint')}</p>
                     </div>
                     ` : ''}
 
                     <div style="margin-bottom: 1.5rem;">
                         <label for="server-url" style="display: block; font-weight: 600; color: #374151; font-size: 0.875rem; margin-bottom: 0.5rem;">
-                            Server URL
+                            <span data-i18n="settings.serverURL">${this.t('settings.serverURL')}</span>
                         </label>
                         <input
                             type="text"
                             id="server-url"
-                            value="${currentServer}"
-                            placeholder="${config.defaultURL}"
+                            value="${this.escapeHTML(currentServer)}"
+                            placeholder="${this.escapeHTML(config.defaultURL)}"
                             style="width: 100%; padding: 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; font-size: 0.875rem; font-family: 'Courier New', monospace; transition: border-color 0.15s;"
                         />
-                        <p style="margin-top: 0.5rem; font-size: 0.75rem; color: #6b7280;">Default: ${config.defaultURL}</p>
+                        <p style="margin-top: 0.5rem; font-size: 0.75rem; color: #6b7280;">${this.t('settings.default', { value: this.escapeHTML(config.defaultURL) })}</p>
                     </div>
 
                     <div style="margin-bottom: 2rem;">
                         <label for="prepared-search" style="display: block; font-weight: 600; color: #374151; font-size: 0.875rem; margin-bottom: 0.5rem;">
-                            Prepared Search
+                            <span data-i18n="settings.preparedSearch">${this.t('settings.preparedSearch')}</span>
                         </label>
                         <input
                             type="text"
                             id="prepared-search"
-                            value="${currentPreparedSearch}"
-                            placeholder="${config.defaultPreparedSearch}"
+                            value="${this.escapeHTML(currentPreparedSearch)}"
+                            placeholder="${this.escapeHTML(config.defaultPreparedSearch)}"
                             style="width: 100%; padding: 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; font-size: 0.875rem; transition: border-color 0.15s;"
                         />
-                        <p style="margin-top: 0.5rem; font-size: 0.75rem; color: #6b7280;">Default: ${config.defaultPreparedSearch}</p>
+                        <p style="margin-top: 0.5rem; font-size: 0.75rem; color: #6b7280;">${this.t('settings.default', { value: this.escapeHTML(config.defaultPreparedSearch) })}</p>
+                    </div>
+
+                    <div style="margin-top: -1rem; margin-bottom: 2rem; display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center;">
+                        <button
+                            type="button"
+                            id="test-connection"
+                            style="padding: 0.5rem 1rem; background: #f3f4f6; color: #374151; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s;"
+                        >
+                            <span data-i18n="settings.testConnection">${this.t('settings.testConnection')}</span>
+                        </button>
+                        <button
+                            type="button"
+                            id="save-profile"
+                            style="padding: 0.5rem 1rem; background: #f3f4f6; color: #374151; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s;"
+                        >
+                            <span data-i18n="settings.saveProfile">${this.t('settings.saveProfile')}</span>
+                        </button>
+                        <span id="connection-test-result" role="status" style="font-size: 0.8125rem; color: #6b7280;"></span>
+                    </div>
+
+                    ${this.config.features.mappingWizard ? `
+                    <div style="margin-bottom: 2rem; padding: 1rem; background: #f9fafb; border-radius: 0.5rem; display: flex; gap: 1rem; align-items: center; justify-content: space-between;">
+                        <p style="margin: 0; font-size: 0.75rem; color: #6b7280;" data-i18n="wizard.openHint">${this.t('wizard.openHint')}</p>
+                        <button
+                            type="button"
+                            id="open-mapping-wizard"
+                            style="padding: 0.5rem 1rem; background: #f3f4f6; color: #374151; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s; white-space: nowrap;"
+                        >
+                            <span data-i18n="wizard.open">${this.t('wizard.open')}</span>
+                        </button>
+                    </div>
+                    ` : ''}
+
+                    ${this.config.features.compareMode ? `
+                    <div style="margin-bottom: 2rem; padding: 1rem; background: #f9fafb; border-radius: 0.5rem; display: flex; gap: 1rem; align-items: center; justify-content: space-between;">
+                        <p style="margin: 0; font-size: 0.75rem; color: #6b7280;" data-i18n="compare.openHint">${this.t('compare.openHint')}</p>
+                        <button
+                            type="button"
+                            id="open-compare-view"
+                            style="padding: 0.5rem 1rem; background: #f3f4f6; color: #374151; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s; white-space: nowrap;"
+                        >
+                            <span data-i18n="compare.open">${this.t('compare.open')}</span>
+                        </button>
                     </div>
+                    ` : ''}
 
                     <div style="display: flex; gap: 1rem; justify-content: flex-end;">
                         <button
@@ -1255,47 +6666,44 @@ class SmartSearchUI {
                             id="reset-settings"
                             style="padding: 0.75rem 1.5rem; background: #f3f4f6; color: #374151; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s;"
                         >
-                            Reset to Default
+                            <span data-i18n="settings.reset">${this.t('settings.reset')}</span>
                         </button>
                         <button
                             type="button"
                             id="cancel-settings"
                             style="padding: 0.75rem 1.5rem; background: #f3f4f6; color: #374151; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: background 0.15s;"
                         >
-                            Cancel
+                            <span data-i18n="settings.cancel">${this.t('settings.cancel')}</span>
                         </button>
                         <button
                             type="submit"
                             style="padding: 0.75rem 1.5rem; background: linear-gradient(135deg, #2563eb, #8b5cf6); color: white; border: none; border-radius: 0.5rem; font-weight: 500; cursor: pointer; transition: transform 0.15s;"
                         >
-                            Save & Reload
+                            <span data-i18n="settings.save">${this.t('settings.save')}</span>
                         </button>
                     </div>
                 </form>
             </div>
-        `
-
-        backdrop.appendChild(modal)
-        document.body.appendChild(backdrop)
+        `)
 
-        // Animate in
-        setTimeout(() => {
-            backdrop.style.opacity = '1'
-            modal.style.transform = 'scale(1)'
-        }, 10)
+        document.getElementById('cancel-settings').addEventListener('click', closeModal)
 
-        // Close handlers
-        const closeModal = () => {
-            backdrop.style.opacity = '0'
-            modal.style.transform = 'scale(0.9)'
-            setTimeout(() => backdrop.remove(), 300)
+        // The wizard and the compare view replace the settings modal
+        const wizardButton = modal.querySelector('#open-mapping-wizard')
+        if (wizardButton) {
+            wizardButton.addEventListener('click', () => {
+                closeModal()
+                this.openMappingWizard()
+            })
         }
 
-        document.getElementById('close-settings-modal').addEventListener('click', closeModal)
-        document.getElementById('cancel-settings').addEventListener('click', closeModal)
-        backdrop.addEventListener('click', (e) => {
-            if (e.target === backdrop) closeModal()
-        })
+        const compareButton = modal.querySelector('#open-compare-view')
+        if (compareButton) {
+            compareButton.addEventListener('click', () => {
+                closeModal()
+                this.openCompareView()
+            })
+        }
 
         // Reset to default
         document.getElementById('reset-settings').addEventListener('click', () => {
@@ -1303,17 +6711,88 @@ class SmartSearchUI {
             document.getElementById('prepared-search').value = config.defaultPreparedSearch
         })
 
-        // Save settings
+        // Save settings, the new connection applies in place
         document.getElementById('settings-form').addEventListener('submit', (e) => {
             e.preventDefault()
 
-            const newServer = document.getElementById('server-url').value.trim() || config.defaultURL
-            const newPreparedSearch = document.getElementById('prepared-search').value.trim() || config.defaultPreparedSearch
+            const newServer = document.getElementById('server-url').value
+            const newPreparedSearch = document.getElementById('prepared-search').value
+
+            closeModal()
+            this.setConnection(newServer, newPreparedSearch)
+        })
+
+        const serverInput = document.getElementById('server-url')
+        const preparedSearchInput = document.getElementById('prepared-search')
+        const profileSelect = modal.querySelector('#profile-select')
+        const deleteProfileButton = modal.querySelector('#delete-profile')
+        const testResult = modal.querySelector('#connection-test-result')
+
+        // Show the profile matching the inputs ('Custom' if none)
+        const syncProfileSelect = () => {
+            const url = serverInput.value.trim()
+            const preparedSearch = preparedSearchInput.value.trim()
+            const match = this.getConnectionProfiles().find(profile => profile.url === url && profile.preparedSearch === preparedSearch)
+
+            if (profileSelect) profileSelect.value = match ? match.id : ''
+            if (deleteProfileButton) deleteProfileButton.hidden = match?.source !== 'user'
+        }
+
+        serverInput.addEventListener('input', syncProfileSelect)
+        preparedSearchInput.addEventListener('input', syncProfileSelect)
+
+        // Switching profiles applies instantly, like the theme selector
+        if (profileSelect) {
+            profileSelect.addEventListener('change', () => {
+                const profile = this.getConnectionProfiles().find(candidate => candidate.id === profileSelect.value)
+                if (!profile) return
+
+                serverInput.value = profile.url
+                preparedSearchInput.value = profile.preparedSearch
+                syncProfileSelect()
+                this.switchProfile(profile.id)
+            })
+        }
+
+        if (deleteProfileButton) {
+            deleteProfileButton.addEventListener('click', () => {
+                this.removeConnectionProfile(profileSelect.value)
+                profileSelect.innerHTML = this._renderProfileOptions(this.getConnectionProfiles(), null)
+                syncProfileSelect()
+            })
+        }
+
+        modal.querySelector('#save-profile').addEventListener('click', () => {
+            const name = window.prompt(this.t('settings.profileName'), preparedSearchInput.value.trim())
+            const profile = this.addConnectionProfile({
+                name,
+                url: serverInput.value,
+                preparedSearch: preparedSearchInput.value
+            })
+            if (!profile) return
+
+            this.setConnection(profile.url, profile.preparedSearch)
+
+            // The selector only exists once there is a profile
+            if (profileSelect) {
+                profileSelect.innerHTML = this._renderProfileOptions(this.getConnectionProfiles(), profile)
+                syncProfileSelect()
+            }
+        })
+
+        modal.querySelector('#test-connection').addEventListener('click', async () => {
+            testResult.style.color = '#6b7280'
+            testResult.textContent = this.t('settings.testing')
 
-            localStorage.setItem(config.localStorageKeys.server, newServer)
-            localStorage.setItem(config.localStorageKeys.preparedSearch, newPreparedSearch)
+            const result = await this.testConnection(
+                serverInput.value.trim() || config.defaultURL,
+                preparedSearchInput.value.trim() || config.defaultPreparedSearch
+            )
 
-            window.location.reload()
+            testResult.style.color = result.ok ? '#15803d' : '#b91c1c'
+            testResult.textContent = result.ok
+                ? this.t('settings.testSuccess', { latency: result.latency, count: result.total })
+                : this.t('settings.testFailed', { message: result.error })
         })
 
         // Add theme selector change listener (instant preview)
@@ -1325,6 +6804,12 @@ class SmartSearchUI {
             })
         }
 
+        // Language changes apply instantly, including the open modal
+        const localeSelect = modal.querySelector('#locale-select')
+        if (localeSelect) {
+            localeSelect.addEventListener('change', (e) => this.setLocale(e.target.value))
+        }
+
         // Add focus/hover styles
         const inputs = modal.querySelectorAll('input')
         inputs.forEach(input => {
@@ -1362,6 +6847,13 @@ function submitSearchForm(event) {
     event.preventDefault()
     const searchbar = document.getElementById("search-bar")
     if (searchbar && searchbar.value) {
-        document.getElementById("search-form").submit()
+        const ui = window.smartSearchUI
+
+        // In-page search unless the full page reload is configured
+        if (ui && ui.config.features.inPageSearch) {
+            ui.submitSearch(searchbar.value)
+        } else {
+            document.getElementById("search-form").submit()
+        }
     }
 }
@@ -20,36 +20,162 @@ window.SmartSearchThemes.magazine = {
     description: 'Editorial design with top filters and visual grid',
     cssFile: 'themes/magazine/theme.css',
 
+    /**
+     * Theme messages, used through uiInstance.t()
+     * Projects can override or translate them in config.i18n.messages
+     */
+    messages: {
+        en: {
+            'magazine.clear': 'Clear',
+            'magazine.continueReading': 'Continue reading',
+            'magazine.filteredBy': 'Filtered by',
+            'magazine.showMoreFilters': 'Show more filters ({count})',
+            'magazine.showFewerFilters': 'Show fewer filters'
+        }
+    },
+
     /**
      * Component overrides
      */
     components: {
         /**
          * Render facet as horizontal tag bar
+         * view is the facet view model, see uiInstance.getFacetViewModel()
          */
-        renderFacet(facet, uiInstance) {
-            const selectedValues = facet.selectedValues || [];
+        renderFacet(facet, uiInstance, view) {
+            const esc = (value) => uiInstance.escapeHTML(value);
+
+            // Single select behaves like radios, excluded values are struck through
+            const selectedClass = view.mode === 'exclude' ? 'magazine-tag-excluded' : 'magazine-tag-selected';
+            const stateAttributes = (entry) => {
+                if (view.mode === 'single') return `role="radio" aria-checked="${entry.selected}"`;
+                if (view.mode === 'exclude') return `aria-pressed="${entry.selected}" aria-label="${esc(uiInstance.t('facet.excludeValue', { value: entry.label }))}"`;
+                return `aria-pressed="${entry.selected}"`;
+            };
+            const modeBadge = view.mode === 'and' || view.mode === 'exclude'
+                ? `<span class="magazine-facet-mode" title="${esc(uiInstance.t(view.mode === 'and' ? 'facet.modeAndHint' : 'facet.modeExcludeHint'))}">${esc(uiInstance.t(view.mode === 'and' ? 'facet.modeAnd' : 'facet.modeExclude'))}</span>`
+                : '';
 
             return `
-                <div class="magazine-facet" data-facet-name="${facet.name}">
+                <div class="magazine-facet magazine-facet-${esc(view.mode)}" data-facet-name="${esc(facet.name)}">
                     <div class="magazine-facet-header">
-                        <h3 class="magazine-facet-label">${facet.displayName || facet.name}</h3>
-                        ${facet.selectedValues && facet.selectedValues.length > 0 ? `
-                            <button class="magazine-facet-clear" data-facet-name="${facet.name}">
-                                Clear
+                        <h3 class="magazine-facet-label">${esc(view.displayName)} ${modeBadge}</h3>
+                        ${view.selectedValues.length > 0 ? `
+                            <button class="magazine-facet-clear" data-facet-name="${esc(facet.name)}">
+                                ${uiInstance.t('magazine.clear')}
                             </button>
                         ` : ''}
                     </div>
-                    <div class="magazine-tags-row">
-                        ${facet.counts.map(count => `
+                    ${view.searchable ? `
+                        <input
+                            type="search"
+                            class="magazine-facet-search"
+                            data-facet-search
+                            placeholder="${esc(uiInstance.t('facet.searchPlaceholder'))}"
+                            aria-label="${esc(uiInstance.t('facet.search', { facet: view.displayName }))}">
+                    ` : ''}
+                    <div class="magazine-tags-row" role="${view.mode === 'single' ? 'radiogroup' : 'group'}" aria-label="${esc(view.displayName)}">
+                        ${view.values.map(entry => `
                             <button
-                                class="magazine-tag ${selectedValues.includes(count.value) ? 'magazine-tag-selected' : ''}"
-                                data-facet="${facet.name}"
-                                data-value="${count.value}">
-                                ${count.value}
-                                <span class="magazine-tag-count">${count.count}</span>
+                                class="magazine-tag ${entry.selected ? selectedClass : ''}"
+                                ${stateAttributes(entry)}
+                                data-facet="${esc(facet.name)}"
+                                data-value="${esc(entry.value)}"
+                                data-facet-value="${esc(entry.value)}"
+                                ${entry.overflow ? 'data-facet-overflow' : ''}>
+                                ${esc(entry.label)}
+                                <span class="magazine-tag-count">${esc(entry.count)}</span>
                             </button>
                         `).join('')}
+                        ${view.hiddenCount > 0 ? '<button type="button" class="magazine-facet-more" data-facet-more></button>' : ''}
+                    </div>
+                    ${view.searchable ? `<p class="magazine-facet-no-match" data-facet-no-match hidden>${esc(uiInstance.t('facet.noMatch'))}</p>` : ''}
+                </div>
+            `;
+        },
+
+        /**
+         * Render a tree facet as drill-down: breadcrumbs and the tags of one level
+         * Shows the children of the selected node (its siblings if it has none).
+         * The library wires data-tree-value and data-tree-crumb.
+         */
+        renderTreeFacet(facet, uiInstance, view) {
+            const esc = (value) => uiInstance.escapeHTML(value);
+
+            let level = view.tree;
+            view.breadcrumbs.forEach(crumb => {
+                const node = level.find(candidate => candidate.value === crumb.value);
+                if (node && node.children.length > 0) level = node.children;
+            });
+
+            return `
+                <div class="magazine-facet magazine-facet-tree" data-facet-name="${esc(facet.name)}">
+                    <div class="magazine-facet-header">
+                        <h3 class="magazine-facet-label">${esc(view.displayName)}</h3>
+                        ${view.breadcrumbs.length > 0 ? `
+                            <button class="magazine-facet-clear" data-tree-crumb="">
+                                ${uiInstance.t('magazine.clear')}
+                            </button>
+                        ` : ''}
+                    </div>
+                    ${view.breadcrumbs.length > 0 ? `
+                        <nav class="magazine-tree-crumbs" aria-label="${esc(uiInstance.t('facet.path'))}">
+                            <button type="button" data-tree-crumb="">${esc(uiInstance.t('facet.all'))}</button>
+                            ${view.breadcrumbs.map((crumb, index) => `
+                                <span aria-hidden="true">/</span>
+                                ${index === view.breadcrumbs.length - 1
+                                    ? `<span aria-current="location">${esc(crumb.label)}</span>`
+                                    : `<button type="button" data-tree-crumb="${esc(crumb.value)}">${esc(crumb.label)}</button>`}
+                            `).join('')}
+                        </nav>
+                    ` : ''}
+                    <div class="magazine-tags-row" role="group" aria-label="${esc(view.displayName)}">
+                        ${level.map(node => `
+                            <button
+                                class="magazine-tag ${node.selected ? 'magazine-tag-selected' : ''}"
+                                aria-pressed="${node.selected}"
+                                data-tree-value="${esc(node.value)}">
+                                ${esc(node.label)}${node.children.length > 0 ? ' ›' : ''}
+                                <span class="magazine-tag-count">${esc(node.count)}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * Render a range facet: slim histogram, slider and the selected bounds
+         */
+        renderRangeFacet(range, uiInstance, view) {
+            const esc = (value) => uiInstance.escapeHTML(value);
+            const last = view.bounds.length - 1;
+
+            return `
+                <div class="magazine-facet magazine-facet-range" data-facet-name="${esc(view.name)}">
+                    <div class="magazine-facet-header">
+                        <h3 class="magazine-facet-label">${esc(view.displayName)}</h3>
+                        ${view.selected ? `
+                            <button class="magazine-facet-clear" data-range-reset>
+                                ${uiInstance.t('magazine.clear')}
+                            </button>
+                        ` : ''}
+                    </div>
+                    <div class="range-histogram" aria-hidden="true">
+                        ${view.buckets.map((bucket, index) => `
+                            <span class="range-bar" data-range-bar="${index}" ${bucket.active ? 'data-range-active' : ''}
+                                style="height: ${Math.max(bucket.height, 2)}%" title="${esc(bucket.label)}"></span>
+                        `).join('')}
+                    </div>
+                    <div class="range-slider">
+                        <input type="range" data-range-handle="from" min="0" max="${last}" step="1" value="${view.lower}"
+                            aria-label="${esc(uiInstance.t('range.min', { facet: view.displayName }))}" aria-valuetext="${esc(view.labels[view.lower])}">
+                        <input type="range" data-range-handle="to" min="0" max="${last}" step="1" value="${view.upper}"
+                            aria-label="${esc(uiInstance.t('range.max', { facet: view.displayName }))}" aria-valuetext="${esc(view.labels[view.upper])}">
+                    </div>
+                    <div class="magazine-range-values">
+                        <span data-range-label="from">${esc(view.labels[view.lower])}</span>
+                        <span data-range-label="to">${esc(view.labels[view.upper])}</span>
                     </div>
                 </div>
             `;
@@ -59,25 +185,22 @@ window.SmartSearchThemes.magazine = {
          * Render result card in editorial style
          */
         renderResultCard(result, highlights, uiInstance) {
+            const esc = (value) => uiInstance.escapeHTML(value);
             const title = uiInstance.getField(result, 'title');
-            const link = uiInstance.getField(result, 'link');
-            const date = uiInstance.formatDate(result);
+            const link = esc(uiInstance.getField(result, 'link'));
+            const date = esc(uiInstance.formatDate(result));
 
-            let description = uiInstance.config.resultFields.description.fallback;
-            if (uiInstance.config.resultFields.description.useHighlighting &&
-                highlights && highlights.content && highlights.content[0]) {
-                description = highlights.content[0];
-            } else {
-                description = uiInstance.getField(result, 'description');
-            }
+            // Highlight snippet keeps its markup, everything else is escaped
+            const description = uiInstance.getDescriptionHTML(result, highlights);
 
-            const language = uiInstance.getField(result, 'language') ||
-                           uiInstance.config.resultFields.language.default;
+            const language = esc(uiInstance.getField(result, 'language') ||
+                           uiInstance.config.resultFields.language.default);
 
             // Get first letter for decorative initial and rest of title
-            const safeTitle = title || 'Untitled';
-            const firstLetter = safeTitle.charAt(0).toUpperCase();
-            const restOfTitle = safeTitle.length > 1 ? safeTitle.substring(1) : '';
+            // (split before escaping so entities are not cut apart)
+            const safeTitle = String(title || 'Untitled');
+            const firstLetter = esc(safeTitle.charAt(0).toUpperCase());
+            const restOfTitle = esc(safeTitle.length > 1 ? safeTitle.substring(1) : '');
 
             return `
                 <a href="${link}" target="_blank" rel="noopener noreferrer" class="magazine-result-link">
@@ -95,7 +218,7 @@ window.SmartSearchThemes.magazine = {
                             <p class="magazine-card-excerpt">${description}</p>
                             <div class="magazine-card-footer">
                                 <span class="magazine-read-more">
-                                    Continue reading
+                                    ${uiInstance.t('magazine.continueReading')}
                                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <line x1="5" y1="12" x2="19" y2="12"></line>
                                         <polyline points="12 5 19 12 12 19"></polyline>
@@ -106,6 +229,27 @@ window.SmartSearchThemes.magazine = {
                     </article>
                 </a>
             `;
+        },
+
+        /**
+         * Render active filters as a "Filtered by" line of dark chips
+         */
+        renderActiveFilters(filters, uiInstance) {
+            const esc = (value) => uiInstance.escapeHTML(value);
+
+            return `
+                <div class="magazine-active-filters">
+                    <span class="magazine-active-filters-label">${uiInstance.t('magazine.filteredBy')}</span>
+                    ${filters.map(filter => `
+                        <button class="magazine-active-chip" data-remove-filter="${esc(filter.id)}" title="${uiInstance.t('activeFilters.remove')}">
+                            <span class="magazine-active-chip-name">${esc(filter.name)}</span>
+                            ${esc(filter.value)}
+                            <span aria-hidden="true">×</span>
+                        </button>
+                    `).join('')}
+                    ${filters.length > 1 ? `<button class="magazine-active-clear" data-clear-filters>${uiInstance.t('activeFilters.clearAll')}</button>` : ''}
+                </div>
+            `;
         }
     },
 
@@ -125,40 +269,8 @@ window.SmartSearchThemes.magazine = {
                     e.preventDefault();
                     e.stopPropagation();
 
-                    tag.classList.toggle('magazine-tag-selected');
-
-                    const allSelectedTags = document.querySelectorAll('.magazine-tag-selected');
-                    const selectedValues = Array.from(allSelectedTags).map(t => t.dataset.value);
-
-                    if (uiInstance.config.dateFilter.enabled) {
-                        const startDateValue = document.getElementById("start-date")?.value;
-                        const endDateValue = document.getElementById("end-date")?.value;
-
-                        if (startDateValue || endDateValue) {
-                            const startISO = startDateValue ? new Date(startDateValue + 'T00:00:00Z').toISOString() : '*';
-                            const endISO = endDateValue ? new Date(endDateValue + 'T23:59:59Z').toISOString() : '*';
-                            const dateFilterQuery = `${uiInstance.config.dateFilter.fieldName}:[${startISO} TO ${endISO}]`;
-
-                            uiInstance.fsss.setCustomParams({ [uiInstance.config.dateFilter.solrFilterParam]: dateFilterQuery });
-                        } else {
-                            uiInstance.fsss.deleteCustomParams(uiInstance.config.dateFilter.solrFilterParam);
-                        }
-                    }
-
-                    try {
-                        let page = await facet.filter(...selectedValues);
-
-                        uiInstance.initFacetContainer(page);
-                        uiInstance.renderAllFacets(page);
-                        uiInstance.renderSearchResults(page);
-                        uiInstance.updateResultsInfo(page, new URLSearchParams(window.location.search).get("query"));
-
-                        if (uiInstance.config.features.smoothScrolling) {
-                            window.scrollTo({ top: 0, behavior: 'smooth' });
-                        }
-                    } catch (error) {
-                        console.error('Filter error:', error);
-                    }
+                    // The library applies the facet mode (single, and, exclude)
+                    await uiInstance.toggleFacetValue(facet, tag.dataset.value);
                 });
             });
 
@@ -167,21 +279,12 @@ window.SmartSearchThemes.magazine = {
                     e.preventDefault();
                     e.stopPropagation();
 
-                    tags.forEach(tag => tag.classList.remove('magazine-tag-selected'));
+                    tags.forEach(tag => {
+                        tag.classList.remove('magazine-tag-selected', 'magazine-tag-excluded');
+                    });
                     await uiInstance.filter(facet, true);
                 });
             }
-        },
-
-        /**
-         * Attach listeners to result cards
-         */
-        attachCardListeners(cardElement, result, uiInstance) {
-            if (uiInstance.config.hooks.onResultClick) {
-                cardElement.addEventListener('click', () => {
-                    uiInstance.config.hooks.onResultClick(result);
-                });
-            }
         }
     },
 
@@ -231,7 +334,7 @@ window.SmartSearchThemes.magazine = {
                         // Use longer timeout to ensure facets are rendered
                         console.log('[Magazine] Scheduling _addExpandButton in 300ms...');
                         setTimeout(() => {
-                            this._addExpandButton(filterBar);
+                            this._addExpandButton(filterBar, uiInstance);
                         }, 300);
                     }
 
@@ -261,7 +364,7 @@ window.SmartSearchThemes.magazine = {
     /**
      * Add expand/collapse button for filters
      */
-    _addExpandButton(filterBar, retryCount = 0) {
+    _addExpandButton(filterBar, uiInstance, retryCount = 0) {
         console.log('[Magazine] _addExpandButton called, retry:', retryCount);
 
         const facetsContainer = filterBar.querySelector('#facets-container');
@@ -269,7 +372,7 @@ window.SmartSearchThemes.magazine = {
             console.log('[Magazine] No facetsContainer found, retrying...');
             // Retry if facets container not found yet
             if (retryCount < 5) {
-                setTimeout(() => this._addExpandButton(filterBar, retryCount + 1), 200);
+                setTimeout(() => this._addExpandButton(filterBar, uiInstance, retryCount + 1), 200);
             } else {
                 console.log('[Magazine] Max retries reached, giving up on facetsContainer');
             }
@@ -293,7 +396,7 @@ window.SmartSearchThemes.magazine = {
         // If no facets found yet, retry
         if (facets.length === 0 && retryCount < 5) {
             console.log('[Magazine] No facets found yet, retrying...');
-            setTimeout(() => this._addExpandButton(filterBar, retryCount + 1), 200);
+            setTimeout(() => this._addExpandButton(filterBar, uiInstance, retryCount + 1), 200);
             return;
         }
 
@@ -326,7 +429,7 @@ window.SmartSearchThemes.magazine = {
         expandBtn.className = 'magazine-expand-filters';
         expandBtn.id = 'magazine-expand-btn';
         expandBtn.innerHTML = `
-            <span class="magazine-expand-text">Show more filters (${hideableCount})</span>
+            <span class="magazine-expand-text">${uiInstance.t('magazine.showMoreFilters', { count: hideableCount })}</span>
             <svg class="magazine-expand-icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <polyline points="6 9 12 15 18 9"></polyline>
             </svg>
@@ -340,7 +443,7 @@ window.SmartSearchThemes.magazine = {
             if (isExpanded) {
                 // Collapse
                 filterBar.classList.remove('magazine-filters-expanded');
-                expandBtn.querySelector('.magazine-expand-text').textContent = `Show more filters (${hideableCount})`;
+                expandBtn.querySelector('.magazine-expand-text').textContent = uiInstance.t('magazine.showMoreFilters', { count: hideableCount });
                 expandBtn.classList.remove('magazine-expanded');
                 facets.forEach((facet, index) => {
                     if (index > 0) facet.classList.add('magazine-facet-hidden');
@@ -351,7 +454,7 @@ window.SmartSearchThemes.magazine = {
             } else {
                 // Expand
                 filterBar.classList.add('magazine-filters-expanded');
-                expandBtn.querySelector('.magazine-expand-text').textContent = 'Show fewer filters';
+                expandBtn.querySelector('.magazine-expand-text').textContent = uiInstance.t('magazine.showFewerFilters');
                 expandBtn.classList.add('magazine-expanded');
                 facets.forEach(facet => facet.classList.remove('magazine-facet-hidden'));
                 if (dateFilter) {
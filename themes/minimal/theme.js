@@ -20,38 +20,74 @@ window.SmartSearchThemes.minimal = {
     description: 'Japanese-inspired minimalist design with elegant typography',
     cssFile: 'themes/minimal/theme.css',
 
+    /**
+     * Theme messages, used through uiInstance.t()
+     * Projects can override or translate them in config.i18n.messages
+     */
+    messages: {
+        en: {
+            'minimal.clear': 'Clear',
+            'minimal.readMore': 'Read more'
+        }
+    },
+
     /**
      * Component overrides
      */
     components: {
         /**
          * Render facet as selectable tag pills
+         * view is the facet view model, see uiInstance.getFacetViewModel()
          */
-        renderFacet(facet, uiInstance) {
-            const selectedValues = facet.selectedValues || [];
+        renderFacet(facet, uiInstance, view) {
+            const esc = (value) => uiInstance.escapeHTML(value);
+
+            // Single select behaves like radios, excluded values are struck through
+            const selectedClass = view.mode === 'exclude' ? 'minimal-tag-excluded' : 'minimal-tag-active';
+            const stateAttributes = (entry) => {
+                if (view.mode === 'single') return `role="radio" aria-checked="${entry.selected}"`;
+                if (view.mode === 'exclude') return `aria-pressed="${entry.selected}" aria-label="${esc(uiInstance.t('facet.excludeValue', { value: entry.label }))}"`;
+                return `aria-pressed="${entry.selected}"`;
+            };
+            const modeBadge = view.mode === 'and' || view.mode === 'exclude'
+                ? `<span class="minimal-facet-mode" title="${esc(uiInstance.t(view.mode === 'and' ? 'facet.modeAndHint' : 'facet.modeExcludeHint'))}">${esc(uiInstance.t(view.mode === 'and' ? 'facet.modeAnd' : 'facet.modeExclude'))}</span>`
+                : '';
 
             return `
-                <div class="facet-group minimal-facet" data-facet-name="${facet.name}">
+                <div class="facet-group minimal-facet minimal-facet-${esc(view.mode)}" data-facet-name="${esc(facet.name)}">
                     <div class="minimal-facet-header">
-                        <h3 class="minimal-facet-title">${facet.displayName || facet.name}</h3>
-                        <button class="minimal-facet-clear" data-facet-name="${facet.name}" title="Clear">
+                        <h3 class="minimal-facet-title">${esc(view.displayName)} ${modeBadge}</h3>
+                        <button class="minimal-facet-clear" data-facet-name="${esc(facet.name)}" title="${esc(uiInstance.t('minimal.clear'))}">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <line x1="18" y1="6" x2="6" y2="18"></line>
                                 <line x1="6" y1="6" x2="18" y2="18"></line>
                             </svg>
                         </button>
                     </div>
-                    <div class="minimal-facet-tags">
-                        ${facet.counts.map(count => `
+                    ${view.searchable ? `
+                        <input
+                            type="search"
+                            class="minimal-facet-search"
+                            data-facet-search
+                            placeholder="${esc(uiInstance.t('facet.searchPlaceholder'))}"
+                            aria-label="${esc(uiInstance.t('facet.search', { facet: view.displayName }))}">
+                    ` : ''}
+                    <div class="minimal-facet-tags" role="${view.mode === 'single' ? 'radiogroup' : 'group'}" aria-label="${esc(view.displayName)}">
+                        ${view.values.map(entry => `
                             <button
-                                class="minimal-tag ${selectedValues.includes(count.value) ? 'minimal-tag-active' : ''}"
-                                data-facet="${facet.name}"
-                                data-value="${count.value}">
-                                <span class="minimal-tag-label">${count.value}</span>
-                                <span class="minimal-tag-count">${count.count}</span>
+                                class="minimal-tag ${entry.selected ? selectedClass : ''}"
+                                ${stateAttributes(entry)}
+                                data-facet="${esc(facet.name)}"
+                                data-value="${esc(entry.value)}"
+                                data-facet-value="${esc(entry.value)}"
+                                ${entry.overflow ? 'data-facet-overflow' : ''}>
+                                <span class="minimal-tag-label">${esc(entry.label)}</span>
+                                <span class="minimal-tag-count">${esc(entry.count)}</span>
                             </button>
                         `).join('')}
+                        ${view.hiddenCount > 0 ? '<button type="button" class="minimal-facet-more" data-facet-more></button>' : ''}
                     </div>
+                    ${view.searchable ? `<p class="minimal-facet-no-match" data-facet-no-match hidden>${esc(uiInstance.t('facet.noMatch'))}</p>` : ''}
                 </div>
             `;
         },
@@ -60,20 +96,16 @@ window.SmartSearchThemes.minimal = {
          * Render result card in minimal style
          */
         renderResultCard(result, highlights, uiInstance) {
-            const title = uiInstance.getField(result, 'title');
-            const link = uiInstance.getField(result, 'link');
-            const date = uiInstance.formatDate(result);
-
-            let description = uiInstance.config.resultFields.description.fallback;
-            if (uiInstance.config.resultFields.description.useHighlighting &&
-                highlights && highlights.content && highlights.content[0]) {
-                description = highlights.content[0];
-            } else {
-                description = uiInstance.getField(result, 'description');
-            }
+            const esc = (value) => uiInstance.escapeHTML(value);
+            const title = esc(uiInstance.getField(result, 'title'));
+            const link = esc(uiInstance.getField(result, 'link'));
+            const date = esc(uiInstance.formatDate(result));
+
+            // Highlight snippet keeps its markup, everything else is escaped
+            const description = uiInstance.getDescriptionHTML(result, highlights);
 
-            const language = uiInstance.getField(result, 'language') ||
-                           uiInstance.config.resultFields.language.default;
+            const language = esc(uiInstance.getField(result, 'language') ||
+                           uiInstance.config.resultFields.language.default);
 
             return `
                 <a href="${link}" target="_blank" rel="noopener noreferrer" class="result-link minimal-result">
@@ -86,7 +118,7 @@ window.SmartSearchThemes.minimal = {
                         <h2 class="result-title minimal-title">${title}</h2>
                         <p class="result-description minimal-description">${description}</p>
                         <div class="minimal-link-indicator">
-                            <span class="minimal-link-text">Read more</span>
+                            <span class="minimal-link-text">${uiInstance.t('minimal.readMore')}</span>
                             <svg class="minimal-arrow" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <line x1="5" y1="12" x2="19" y2="12"></line>
                                 <polyline points="12 5 19 12 12 19"></polyline>
@@ -116,43 +148,9 @@ window.SmartSearchThemes.minimal = {
                     e.preventDefault();
                     e.stopPropagation();
 
-                    // Toggle active state
-                    tag.classList.toggle('minimal-tag-active');
-
-                    // Get all selected values across all facets
-                    const allTags = document.querySelectorAll('.minimal-tag-active');
-                    const selectedValues = Array.from(allTags).map(t => t.dataset.value);
-
-                    // Handle date filter
-                    if (uiInstance.config.dateFilter.enabled) {
-                        const startDateValue = document.getElementById("start-date")?.value;
-                        const endDateValue = document.getElementById("end-date")?.value;
-
-                        if (startDateValue || endDateValue) {
-                            const startISO = startDateValue ? new Date(startDateValue + 'T00:00:00Z').toISOString() : '*';
-                            const endISO = endDateValue ? new Date(endDateValue + 'T23:59:59Z').toISOString() : '*';
-                            const dateFilterQuery = `${uiInstance.config.dateFilter.fieldName}:[${startISO} TO ${endISO}]`;
-
-                            uiInstance.fsss.setCustomParams({ [uiInstance.config.dateFilter.solrFilterParam]: dateFilterQuery });
-                        } else {
-                            uiInstance.fsss.deleteCustomParams(uiInstance.config.dateFilter.solrFilterParam);
-                        }
-                    }
-
-                    try {
-                        let page = await facet.filter(...selectedValues);
-
-                        uiInstance.initFacetContainer(page);
-                        uiInstance.renderAllFacets(page);
-                        uiInstance.renderSearchResults(page);
-                        uiInstance.updateResultsInfo(page, new URLSearchParams(window.location.search).get("query"));
-
-                        if (uiInstance.config.features.smoothScrolling) {
-                            window.scrollTo({ top: 0, behavior: 'smooth' });
-                        }
-                    } catch (error) {
-                        console.error('Filter error:', error);
-                    }
+                    // The library applies the facet mode (single, and, exclude),
+                    // the date filter, rendering and URL state
+                    await uiInstance.toggleFacetValue(facet, tag.dataset.value);
                 });
             });
 
@@ -163,23 +161,14 @@ window.SmartSearchThemes.minimal = {
                     e.stopPropagation();
 
                     // Deselect all tags in this facet
-                    tags.forEach(tag => tag.classList.remove('minimal-tag-active'));
+                    tags.forEach(tag => {
+                        tag.classList.remove('minimal-tag-active', 'minimal-tag-excluded');
+                    });
 
                     // Trigger filter with empty values
                     await uiInstance.filter(facet, true);
                 });
             }
-        },
-
-        /**
-         * Attach listeners to result cards
-         */
-        attachCardListeners(cardElement, result, uiInstance) {
-            if (uiInstance.config.hooks.onResultClick) {
-                cardElement.addEventListener('click', () => {
-                    uiInstance.config.hooks.onResultClick(result);
-                });
-            }
         }
     },
 